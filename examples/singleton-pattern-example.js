@@ -1 +1,102 @@
+/**
+ * 共享实例（单例）模式示例
+ *
+ * 展示如何通过 getClient()/releaseClient() 在多个模块间共享同一个 SSEClient，
+ * 避免各模块各自 new SSEClient 为同一地址建立多条连接
+ */
 
+import { getClient, releaseClient, sseManager, SSEManager } from '../src/index.js';
+
+console.log('=== vsse 共享实例演示 ===\n');
+
+// ============================================================
+// 示例 1: 不同模块获取同一个实例
+// ============================================================
+console.log('【示例 1】不同模块获取同一个实例');
+
+const options = { eventName: 'notify', withHeartbeat: true };
+
+// 模块 A：聊天面板
+const chatClient = getClient('/api/sse?userId=alice', options);
+
+// 模块 B：通知中心（url 中查询参数顺序、hash 不同也视为同一地址）
+const notifyClient = getClient('/api/sse?userId=alice#notify', { withHeartbeat: true, eventName: 'notify' });
+
+console.log('同一个实例:', chatClient === notifyClient); // true
+console.log('引用计数:', sseManager.inspect(chatClient).refs); // 2
+console.log('\n');
+
+// ============================================================
+// 示例 2: 选项不同 ⇒ 不同实例
+// ============================================================
+console.log('【示例 2】选项不同会得到不同实例');
+
+const adminClient = getClient('/api/sse?userId=alice', { eventName: 'admin' });
+console.log('与聊天实例相同:', adminClient === chatClient); // false
+console.log('\n');
+
+// ============================================================
+// 示例 3: 引用计数与销毁
+// ============================================================
+console.log('【示例 3】最后一个持有者释放时销毁');
+
+chatClient.onBroadcast((msg) => console.log('聊天面板收到:', msg));
+const offNotify = notifyClient.onBroadcast((msg) => console.log('通知中心收到:', msg));
+
+// 通知中心卸载：先取消自己的监听，再归还实例
+offNotify();
+releaseClient(notifyClient);
+console.log('通知中心释放后引用计数:', sseManager.inspect(chatClient).refs); // 1，连接仍保持
+
+// 聊天面板卸载：最后一个持有者释放，底层连接被关闭并销毁
+releaseClient(chatClient);
+console.log('聊天面板释放后是否仍在注册表:', !!sseManager.inspect(chatClient)); // false
+console.log('\n');
+
+// ============================================================
+// 示例 4: 列出所有存活实例（调试）
+// ============================================================
+console.log('【示例 4】列出所有存活实例');
+
+sseManager.list().forEach(({ url, refs, info }) => {
+  console.log(`${url} refs=${refs} state=${info.state} listeners=${info.listenersCount}`);
+});
+releaseClient(adminClient);
+console.log('\n');
+
+// ============================================================
+// 示例 5: 框架中的用法（以 React 为例）
+// ============================================================
+console.log('【示例 5】组件挂载获取、卸载归还');
+
+// 挂载时 getClient，卸载时先取消监听再 releaseClient：
+//
+// useEffect(() => {
+//   const client = getClient(url, opts);
+//   const off = client.onBroadcast(handle);
+//   return () => { off(); releaseClient(client); };
+// }, [url]);
+//
+// React 项目可直接使用 vsse/react：<SSEProvider url={url} options={opts}> 内部即通过 getClient/releaseClient 共享实例
+
+// ============================================================
+// 示例 6: 独立注册表（测试隔离、多租户）
+// ============================================================
+console.log('【示例 6】独立注册表');
+
+const tenantManager = new SSEManager();
+const tenantClient = tenantManager.getClient('/api/sse?tenant=acme', { eventName: 'notify' });
+console.log('独立注册表实例数:', tenantManager.size); // 1
+tenantManager.release(tenantClient);
+// 登出或热更新时一次性清理
+tenantManager.destroyAll();
+
+// ============================================================
+// 总结
+// ============================================================
+console.log('\n=== 共享实例总结 ===');
+console.log('✅ getClient(url, opts)：相同的规范化 url + 选项返回同一实例');
+console.log('✅ 引用计数：releaseClient() 归还，最后一个持有者释放时销毁');
+console.log('✅ 选项中的函数/存储对象按引用区分，保证行为一致的模块才会共享');
+console.log('✅ sseManager.list()/inspect()：查看所有存活实例及连接状态');
+console.log('\n请使用 releaseClient() 而不是直接调用 destroy()，否则其它持有者会拿到已销毁的实例。');
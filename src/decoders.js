@@ -0,0 +1,45 @@
+/**
+ * SSE data 解码器
+ * 中文注释：把一帧的 data 文本转换为 SSEMessage（或多条）。解码器签名：
+ *   (data: string, frame: { type, data, lastEventId }) => object | object[] | null | undefined
+ * 返回 null/undefined 表示忽略该帧；抛出异常表示格式错误（交给 onDecodeError 处理）。
+ */
+
+/** JSON：data 整体为一个 JSON；非对象值按空对象处理（与旧版行为一致），空 data 视为保活忽略 */
+function json(data) {
+  if (data === '') return null;
+  const parsed = JSON.parse(data);
+  return parsed && typeof parsed === 'object' ? parsed : {};
+}
+
+/** 纯文本：data 原样放入 payload */
+function text(data) {
+  return { payload: data };
+}
+
+/** 多行 JSON（NDJSON）：data 中每一行是一条独立的 JSON 消息 */
+function ndjson(data) {
+  return data
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map((line) => {
+      const parsed = JSON.parse(line);
+      return parsed && typeof parsed === 'object' ? parsed : { payload: parsed };
+    });
+}
+
+export const decoders = { json, text, ndjson };
+
+/**
+ * 把 decoder 选项解析为解码函数
+ * @param {('json'|'text'|'ndjson'|Function)=} decoder
+ * @returns {Function}
+ */
+export function resolveDecoder(decoder) {
+  if (typeof decoder === 'function') return decoder;
+  if (decoder === undefined) return json;
+  if (!Object.prototype.hasOwnProperty.call(decoders, decoder)) {
+    throw new Error(`Unknown decoder: ${decoder}`);
+  }
+  return decoders[decoder];
+}
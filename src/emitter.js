@@ -0,0 +1,56 @@
+/**
+ * 极简事件发射器
+ * 中文注释：用于 SSEClient 的生命周期事件（statechange/open/close/reconnecting/error/heartbeat-timeout）；
+ * 单个处理函数抛错不会影响其它处理函数与主流程。
+ */
+
+export class Emitter {
+  constructor() {
+    /** @type {Map<string,Set<Function>>} */
+    this.handlers = new Map();
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} fn
+   * @returns {() => void} 取消订阅
+   */
+  on(type, fn) {
+    if (typeof fn !== 'function') throw new Error(`on('${type}', handler) requires a function`);
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} fn
+   */
+  off(type, fn) {
+    const hs = this.handlers.get(type);
+    if (!hs) return;
+    hs.delete(fn);
+    if (hs.size === 0) this.handlers.delete(type);
+  }
+
+  /**
+   * @param {string} type
+   * @param {any} payload
+   * @param {(e:any)=>void=} onHandlerError
+   */
+  emit(type, payload, onHandlerError) {
+    const hs = this.handlers.get(type);
+    if (!hs) return;
+    for (const fn of [...hs]) {
+      try {
+        fn(payload);
+      } catch (e) {
+        if (onHandlerError) onHandlerError(e);
+      }
+    }
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+}
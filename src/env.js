@@ -0,0 +1,92 @@
+/**
+ * 运行环境抽象
+ * 中文注释：把定时器与时钟、用户活动、网络上下线、页面卸载信号以及 fetch/EventSource 实现集中到一个对象中，
+ * 使 SSEClient 可以运行在浏览器、Web Worker、Node 18+ 以及 SSR 环境（导入与构造均不访问 window）。
+ * 默认实现均为"调用时再取全局对象"，便于测试或宿主在运行期替换全局 fetch/定时器。
+ */
+
+import { EventSourcePolyfill } from 'event-source-polyfill';
+
+/**
+ * @typedef {Object} SSEEnvironment
+ * @property {(fn:Function, ms:number)=>any} setTimeout
+ * @property {(id:any)=>void} clearTimeout
+ * @property {(fn:Function, ms:number)=>any} setInterval
+ * @property {(id:any)=>void} clearInterval
+ * @property {()=>number} now                                // 当前时间（ms），默认 Date.now()
+ * @property {typeof fetch} fetch
+ * @property {any} EventSource                               // transport='eventsource' 使用的构造函数
+ * @property {(fn:()=>void)=>(()=>void)} onActivity          // 用户活动信号，返回取消函数
+ * @property {()=>boolean} isOnline                          // 当前是否在线（无 navigator.onLine 的环境视为在线）
+ * @property {(handlers:{ online?:()=>void, offline?:()=>void })=>(()=>void)} onNetworkChange
+ * @property {(fn:()=>void)=>(()=>void)} onPageHide          // 页面卸载/进入 bfcache
+ * @property {()=>boolean} isHidden                          // 当前标签页是否处于后台（无 document 的环境恒为 false）
+ * @property {(fn:(hidden:boolean)=>void)=>(()=>void)} onVisibilityChange // 标签页前后台切换
+ */
+
+const ACTIVITY_EVENTS = ['click', 'keydown', 'mousemove', 'scroll', 'touchstart', 'visibilitychange'];
+const noop = () => {};
+
+/** 可监听全局事件的对象：浏览器为 window，Worker 为 self；Node/SSR 下为 undefined */
+function globalEventTarget() {
+  if (typeof window !== 'undefined' && window && typeof window.addEventListener === 'function') return window;
+  if (typeof self !== 'undefined' && self && typeof self.addEventListener === 'function') return self;
+  return undefined;
+}
+
+/** 是否为带 DOM 的浏览器页面 */
+function hasDocument() {
+  return typeof document !== 'undefined';
+}
+
+/**
+ * 监听一组全局事件，返回取消函数
+ * @param {string[]} types
+ * @param {Function} fn
+ * @param {Object=} options
+ */
+function listenGlobal(types, fn, options) {
+  const target = globalEventTarget();
+  if (!target) return noop;
+  types.forEach(type => target.addEventListener(type, fn, options));
+  return () => types.forEach(type => target.removeEventListener(type, fn));
+}
+
+/**
+ * 创建运行环境；overrides 中提供的字段覆盖默认实现
+ * @param {Partial<SSEEnvironment>=} overrides
+ * @returns {SSEEnvironment}
+ */
+export function createEnvironment(overrides = {}) {
+  return {
+    setTimeout: (fn, ms) => globalThis.setTimeout(fn, ms),
+    clearTimeout: (id) => globalThis.clearTimeout(id),
+    setInterval: (fn, ms) => globalThis.setInterval(fn, ms),
+    clearInterval: (id) => globalThis.clearInterval(id),
+    now: () => Date.now(),
+    fetch: (...args) => globalThis.fetch(...args),
+    // 所有运行时默认使用 EventSourcePolyfill：原生 EventSource 不支持自定义请求头，token/sseHeaders/Last-Event-ID 会被丢弃；
+    // polyfill 在 Worker/Node 中通过 fetch 工作。需要原生或宿主实现时通过 env.EventSource 显式传入
+    EventSource: EventSourcePolyfill,
+    // 用户活动只在有 window 的环境中有意义（Worker/Node 下不监听）
+    onActivity: (fn) => (typeof window !== 'undefined' ? listenGlobal(ACTIVITY_EVENTS, fn, { passive: true }) : noop),
+    isOnline: () => !(typeof navigator !== 'undefined' && navigator && navigator.onLine === false),
+    onNetworkChange: ({ online, offline } = {}) => {
+      const offOnline = online ? listenGlobal(['online'], online) : noop;
+      const offOffline = offline ? listenGlobal(['offline'], offline) : noop;
+      return () => {
+        offOnline();
+        offOffline();
+      };
+    },
+    onPageHide: (fn) => listenGlobal(['pagehide'], fn),
+    isHidden: () => hasDocument() && document.visibilityState === 'hidden',
+    onVisibilityChange: (fn) => {
+      if (!hasDocument() || typeof document.addEventListener !== 'function') return noop;
+      const handler = () => fn(document.visibilityState === 'hidden');
+      document.addEventListener('visibilitychange', handler);
+      return () => document.removeEventListener('visibilitychange', handler);
+    },
+    ...overrides,
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * 基于 fetch + ReadableStream 的 SSE 传输
+ * 中文注释：对外暴露与 EventSource 相同的 addEventListener/close 接口，
+ * 因此 SSEClient 可以在不改动事件分发路径的前提下切换传输方式。
+ * 与 EventSource 的区别：支持任意 HTTP 方法与请求体、可拿到 HTTP 状态码、
+ * 会把注释行与 retry 字段以事件形式抛出；不会自行重连（重连由 SSEClient 负责）。
+ */
+
+import { SSEParser } from './sse-parser.js';
+
+/**
+ * @typedef {Object} FetchEventSourceInit
+ * @property {Record<string,string>=} headers
+ * @property {boolean=} withCredentials      // true → credentials: 'include'
+ * @property {string=} method                // 默认 GET
+ * @property {any=} body                     // 非字符串时按 JSON 序列化
+ * @property {typeof fetch=} fetch           // 自定义 fetch 实现
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+export class FetchEventSource {
+  /**
+   * @param {string} url
+   * @param {FetchEventSourceInit=} init
+   */
+  constructor(url, init = {}) {
+    this.url = url;
+    this.withCredentials = init.withCredentials === true;
+    this.readyState = CONNECTING;
+    /** @type {number|undefined} 握手响应的 HTTP 状态码 */
+    this.status = undefined;
+    /** @type {Map<string,Set<Function>>} */
+    this.handlers = new Map();
+    this._ctrl = new AbortController();
+    this._init = init;
+    this._parser = new SSEParser({
+      onEvent: (frame) => this.emit(frame.type, frame),
+      onComment: (text) => this.emit('comment', { type: 'comment', data: text }),
+      onRetry: (ms) => this.emit('retry', { type: 'retry', retry: ms }),
+    });
+    this._start();
+  }
+
+  addEventListener(type, fn) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    if (this.handlers.has(type)) this.handlers.get(type).delete(fn);
+  }
+
+  close() {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+    this._ctrl.abort();
+  }
+
+  // ========== 内部实现 ==========
+  emit(type, ev) {
+    if (this.readyState === CLOSED) return;
+    const hs = this.handlers.get(type);
+    if (!hs) return;
+    for (const h of [...hs]) {
+      try { h(ev); } catch (_) {}
+    }
+  }
+
+  /** 以 error 事件结束本次连接，由上层决定是否重连 */
+  fail(detail) {
+    if (this.readyState === CLOSED) return;
+    this.emit('error', { type: 'error', status: this.status, ...detail });
+    this.readyState = CLOSED;
+    this._ctrl.abort();
+  }
+
+  async _start() {
+    const init = this._init;
+    const fetchImpl = init.fetch || globalThis.fetch;
+    const headers = {
+      Accept: 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...(init.headers || {}),
+    };
+    const method = (init.method || 'GET').toUpperCase();
+    let body;
+    if (init.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+      if (typeof init.body === 'string') {
+        body = init.body;
+      } else {
+        body = JSON.stringify(init.body);
+        if (!Object.keys(headers).some(k => k.toLowerCase() === 'content-type')) {
+          headers['Content-Type'] = 'application/json';
+        }
+      }
+    }
+
+    let res;
+    try {
+      res = await fetchImpl(this.url, {
+        method,
+        headers,
+        body,
+        credentials: this.withCredentials ? 'include' : 'same-origin',
+        cache: 'no-store',
+        signal: this._ctrl.signal,
+      });
+    } catch (e) {
+      this.fail({ error: e });
+      return;
+    }
+    if (this.readyState === CLOSED) return;
+
+    this.status = res.status;
+    const contentType = (res.headers && res.headers.get && res.headers.get('content-type')) || '';
+    if (!res.ok) {
+      this.fail({ message: `HTTP ${res.status}` });
+      return;
+    }
+    if (!/^text\/event-stream/i.test(contentType)) {
+      this.fail({ message: `Unexpected content-type: ${contentType || 'none'}` });
+      return;
+    }
+    if (!res.body || typeof res.body.getReader !== 'function') {
+      this.fail({ message: 'Response body is not a readable stream' });
+      return;
+    }
+
+    this.readyState = OPEN;
+    this.emit('open', { type: 'open', status: res.status, headers: res.headers });
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (this.readyState === CLOSED) return;
+        this._parser.feed(decoder.decode(value, { stream: true }));
+      }
+      this._parser.feed(decoder.decode());
+    } catch (e) {
+      this.fail({ error: e });
+      return;
+    }
+    this._parser.end();
+    // 服务端主动结束流：与 EventSource 一致，以 error 通知上层
+    this.fail({ message: 'stream ended' });
+  }
+}
+
+FetchEventSource.CONNECTING = CONNECTING;
+FetchEventSource.OPEN = OPEN;
+FetchEventSource.CLOSED = CLOSED;
@@ -1,3 +1,12 @@
 export * from './sse-client.js';
-
-
+export * from './sse-parser.js';
+export * from './fetch-transport.js';
+export * from './env.js';
+export * from './logger.js';
+export * from './decoders.js';
+export * from './middleware.js';
+export * from './outbox.js';
+export * from './manager.js';
+export * from './metrics.js';
+export * from './recorder.js';
+export * from './schema.js';
@@ -0,0 +1,83 @@
+/**
+ * 分级日志
+ * 中文注释：SSEClient 的所有输出都经过 Logger，按级别过滤后交给 sink；
+ * sink 可以是带 debug/info/warn/error 方法的对象（如 console、pino），也可以是接收结构化日志条目的函数。
+ */
+
+/** @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel */
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {Exclude<LogLevel,'silent'>} level
+ * @property {string} message
+ * @property {number} time
+ * @property {Record<string,any>} fields     // 结构化字段：reason/attempts/state/url 等
+ */
+
+/**
+ * @typedef {((entry:LogEntry)=>void) | { debug?:Function, info?:Function, warn?:Function, error?:Function }} LogSink
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/** 控制台输出：`[vsse] <message> (k: v, ...)`，error 对象单独作为第二个参数输出 */
+const consoleSink = {
+  debug: (message, fields) => writeConsole('debug', message, fields),
+  info: (message, fields) => writeConsole('log', message, fields),
+  warn: (message, fields) => writeConsole('warn', message, fields),
+  error: (message, fields) => writeConsole('error', message, fields),
+};
+
+function writeConsole(method, message, fields = {}) {
+  const { error, ...rest } = fields;
+  const pairs = Object.keys(rest)
+    .filter(k => rest[k] !== undefined)
+    .map(k => `${k}: ${rest[k]}`);
+  const text = `[vsse] ${message}${pairs.length ? ` (${pairs.join(', ')})` : ''}`;
+  if (error !== undefined) console[method](text, error);
+  else console[method](text);
+}
+
+export class Logger {
+  /**
+   * @param {{ level?: LogLevel, sink?: LogSink, base?: () => Record<string,any> }=} options
+   * base：每条日志都会附带的公共字段（按需计算）
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.sink = options.sink || consoleSink;
+    this.base = options.base;
+  }
+
+  /** @param {LogLevel} level */
+  enabled(level) {
+    return (LOG_LEVELS[level] ?? LOG_LEVELS.info) >= (LOG_LEVELS[this.level] ?? LOG_LEVELS.info);
+  }
+
+  /**
+   * @param {Exclude<LogLevel,'silent'>} level
+   * @param {string} message
+   * @param {Record<string,any>=} fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+    // 调用方字段在前（控制台输出更易读），同名时以调用方为准
+    const all = { ...fields, ...(this.base ? this.base() : {}), ...fields };
+    try {
+      if (typeof this.sink === 'function') {
+        this.sink({ level, message, time: Date.now(), fields: all });
+      } else if (typeof this.sink[level] === 'function') {
+        this.sink[level](message, all);
+      } else if (typeof this.sink.log === 'function') {
+        this.sink.log(message, all);
+      }
+    } catch (_) {
+      // 日志失败不影响主流程
+    }
+  }
+
+  debug(message, fields) { this.log('debug', message, fields); }
+  info(message, fields) { this.log('info', message, fields); }
+  warn(message, fields) { this.log('warn', message, fields); }
+  error(message, fields) { this.log('error', message, fields); }
+}
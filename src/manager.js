@@ -0,0 +1,170 @@
+/**
+ * 共享客户端注册表
+ * 中文注释：防重复连接保护只在单个实例内生效；多个模块各自 new SSEClient 会为同一地址建立多条连接。
+ * SSEManager 按"规范化 url + 选项"缓存实例并做引用计数：getClient() 返回共享实例，
+ * 最后一个持有者 release() 时销毁底层客户端。
+ */
+
+import { SSEClient } from './sse-client.js';
+
+/**
+ * 规范化 url：协议/主机小写、查询参数排序、去掉 hash；相对地址保持相对
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  const raw = String(url || '').trim();
+  if (!raw) return '';
+  const relativeBase = 'http://relative.invalid';
+  let parsed;
+  try {
+    parsed = new URL(raw, relativeBase);
+  } catch (_) {
+    return raw;
+  }
+  parsed.hash = '';
+  parsed.searchParams.sort();
+  const out = parsed.toString();
+  return out.startsWith(relativeBase) ? out.slice(relativeBase.length) : out;
+}
+
+/**
+ * 选项指纹：纯对象/数组按键排序序列化，函数与其它对象（如 localStorage、自定义 env）按引用区分
+ */
+function createFingerprinter() {
+  const ids = new WeakMap();
+  let nextId = 0;
+  const identity = (value) => {
+    if (!ids.has(value)) ids.set(value, ++nextId);
+    return `#${ids.get(value)}`;
+  };
+  const isPlain = (value) => {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  };
+  const walk = (value) => {
+    if (typeof value === 'function') return identity(value);
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(walk);
+    if (!isPlain(value)) return identity(value);
+    const out = {};
+    Object.keys(value).sort().forEach((k) => {
+      if (value[k] !== undefined) out[k] = walk(value[k]);
+    });
+    return out;
+  };
+  return (opts) => JSON.stringify(walk(opts || {}));
+}
+
+export class SSEManager {
+  /**
+   * @param {{ createClient?: (opts:import('./sse-client.js').SSEClientOptions)=>SSEClient }=} options
+   * createClient：自定义实例创建（测试或子类化时使用），默认 new SSEClient(opts)
+   */
+  constructor(options = {}) {
+    this.createClient = options.createClient || ((opts) => new SSEClient(opts));
+    this.fingerprint = createFingerprinter();
+    /** @type {Map<string,{ client: SSEClient, url: string, refs: number, createdAt: number }>} */
+    this.entries = new Map();
+    /** @type {Map<SSEClient,string>} */
+    this.keys = new Map();
+  }
+
+  /** 当前存活的共享实例数 */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 获取共享实例（引用计数 +1）；相同的规范化 url 与选项返回同一实例
+   * @param {string} url
+   * @param {Omit<import('./sse-client.js').SSEClientOptions,'url'>=} opts
+   * @returns {SSEClient}
+   */
+  getClient(url, opts = {}) {
+    const normalized = normalizeUrl(url);
+    if (!normalized) throw new Error('getClient(url) requires a url');
+    const rest = { ...opts };
+    delete rest.url;
+    const key = `${normalized} ${this.fingerprint(rest)}`;
+    let entry = this.entries.get(key);
+    if (!entry) {
+      const client = this.createClient({ ...rest, url });
+      entry = { client, url: normalized, refs: 0, createdAt: Date.now() };
+      this.entries.set(key, entry);
+      this.keys.set(client, key);
+    }
+    entry.refs += 1;
+    return entry.client;
+  }
+
+  /**
+   * 释放一次引用；最后一个持有者释放时销毁实例
+   * @param {SSEClient} client
+   * @returns {boolean} 是否为注册表中的实例
+   */
+  release(client) {
+    const key = this.keys.get(client);
+    if (!key) return false;
+    const entry = this.entries.get(key);
+    entry.refs -= 1;
+    if (entry.refs <= 0) {
+      this.entries.delete(key);
+      this.keys.delete(client);
+      client.destroy();
+    }
+    return true;
+  }
+
+  /**
+   * 列出所有存活实例及其连接诊断信息
+   * @returns {Array<{ url: string, refs: number, createdAt: number, client: SSEClient, info: Object }>}
+   */
+  list() {
+    return [...this.entries.values()].map(({ client, url, refs, createdAt }) => ({
+      url,
+      refs,
+      createdAt,
+      client,
+      info: client.getConnectionInfo(),
+    }));
+  }
+
+  /**
+   * 查看某个实例的引用计数与诊断信息；不在注册表中时返回 undefined
+   * @param {SSEClient} client
+   */
+  inspect(client) {
+    const key = this.keys.get(client);
+    if (!key) return undefined;
+    const { url, refs, createdAt } = this.entries.get(key);
+    return { url, refs, createdAt, client, info: client.getConnectionInfo() };
+  }
+
+  /** 销毁全部实例（如热更新、登出时） */
+  destroyAll() {
+    for (const { client } of this.entries.values()) client.destroy();
+    this.entries.clear();
+    this.keys.clear();
+  }
+}
+
+/** 默认注册表 */
+export const sseManager = new SSEManager();
+
+/**
+ * 从默认注册表获取共享实例
+ * @param {string} url
+ * @param {Omit<import('./sse-client.js').SSEClientOptions,'url'>=} opts
+ */
+export function getClient(url, opts) {
+  return sseManager.getClient(url, opts);
+}
+
+/**
+ * 归还从默认注册表获取的实例
+ * @param {SSEClient} client
+ */
+export function releaseClient(client) {
+  return sseManager.release(client);
+}
@@ -0,0 +1,200 @@
+/**
+ * 内置指标
+ * 中文注释：统计请求延迟（POST → 首条消息、首条消息 → done）、重连次数（按原因）、心跳超时、
+ * 消息速率以及被丢弃/暂存的消息数，用于把用户反馈与连接健康状况对应起来。
+ * 延迟直方图只保留最近 sampleSize 个样本，分位数反映近期状况。
+ */
+
+/**
+ * @typedef {Object} HistogramSnapshot
+ * @property {number} count                  // 样本窗口内的样本数
+ * @property {number} min
+ * @property {number} max
+ * @property {number} avg
+ * @property {number} p50
+ * @property {number} p95
+ */
+
+/**
+ * @typedef {Object} SSEMetricsSnapshot
+ * @property {number} since                  // 统计起点（时间戳）
+ * @property {{ firstEvent: HistogramSnapshot, duration: HistogramSnapshot }} latency // ms
+ * @property {{ started: number, completed: number, failed: number, cancelled: number, active: number }} requests
+ * @property {{ total: number, byReason: Record<string,number> }} reconnects
+ * @property {number} opens                  // 连接成功次数
+ * @property {number} heartbeatTimeouts
+ * @property {{ total: number, perSecond: number }} messages // perSecond 为最近 rateWindow 内的平均速率
+ * @property {{ decodeError: number, vetoed: number, invalid: number, duplicate: number, unroutedEvicted: number }} dropped
+ * @property {{ buffered: number, pending: number }} unrouted // buffered：累计进入暂存的条数；pending：当前暂存条数
+ */
+
+/** 固定窗口的延迟样本，按需计算分位数 */
+export class Histogram {
+  /** @param {number=} size 保留的最近样本数 */
+  constructor(size = 500) {
+    this.size = size;
+    /** @type {number[]} */
+    this.samples = [];
+    this.next = 0;
+  }
+
+  /** @param {number} value */
+  record(value) {
+    if (this.samples.length < this.size) this.samples.push(value);
+    else this.samples[this.next] = value;
+    this.next = (this.next + 1) % this.size;
+  }
+
+  /** @returns {HistogramSnapshot} */
+  snapshot() {
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) return { count: 0, min: 0, max: 0, avg: 0, p50: 0, p95: 0 };
+    const at = (q) => sorted[Math.min(count - 1, Math.ceil(q * count) - 1)];
+    const sum = sorted.reduce((acc, v) => acc + v, 0);
+    return { count, min: sorted[0], max: sorted[count - 1], avg: Math.round(sum / count), p50: at(0.5), p95: at(0.95) };
+  }
+}
+
+export class Metrics {
+  /**
+   * @param {{ sampleSize?: number, rateWindow?: number, maxTracked?: number, now?: ()=>number }=} options
+   * rateWindow：消息速率的统计窗口（ms），默认 10_000；maxTracked：同时跟踪的请求数上限，默认 1000；now：时钟，默认 Date.now
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.sampleSize = options.sampleSize ?? 500;
+    this.rateWindow = options.rateWindow ?? 10_000;
+    this.maxTracked = options.maxTracked ?? 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.since = this.now();
+    this.firstEvent = new Histogram(this.sampleSize);
+    this.duration = new Histogram(this.sampleSize);
+    /** @type {Map<string,{ startedAt: number|undefined, firstAt: number|undefined }>} */
+    this.tracked = new Map();
+    this.requests = { started: 0, completed: 0, failed: 0, cancelled: 0 };
+    /** @type {Record<string,number>} */
+    this.reconnectReasons = {};
+    this.opens = 0;
+    this.heartbeatTimeouts = 0;
+    this.messagesTotal = 0;
+    /** @type {Map<number,number>} 每秒消息数（键为秒级时间戳） */
+    this.messageBuckets = new Map();
+    this.dropped = { decodeError: 0, vetoed: 0, invalid: 0, duplicate: 0, unroutedEvicted: 0 };
+    this.unroutedBuffered = 0;
+  }
+
+  /** POST 发出前调用，作为"POST → 首条消息"的起点 */
+  requestStarted(requestId) {
+    this.requests.started += 1;
+    this.track(requestId).startedAt = this.now();
+  }
+
+  /**
+   * 某个请求收到一条消息
+   * @param {string} requestId
+   * @param {string} event
+   */
+  requestEvent(requestId, event) {
+    const now = this.now();
+    const entry = this.track(requestId);
+    if (entry.firstAt === undefined) {
+      entry.firstAt = now;
+      if (entry.startedAt !== undefined) this.firstEvent.record(now - entry.startedAt);
+    }
+    if (event === 'done') {
+      this.duration.record(now - entry.firstAt);
+      this.requests.completed += 1;
+    } else if (event === 'error') {
+      this.requests.failed += 1;
+    } else if (event === 'cancelled') {
+      this.requests.cancelled += 1;
+    } else {
+      return;
+    }
+    this.tracked.delete(requestId);
+  }
+
+  /**
+   * 请求在本地结束（监听超时、cancel()）：只计入 failed/cancelled，不产生延迟样本
+   * @param {string} requestId
+   * @param {'error'|'cancelled'} outcome
+   */
+  requestEnded(requestId, outcome) {
+    if (outcome === 'error') this.requests.failed += 1;
+    else this.requests.cancelled += 1;
+    this.tracked.delete(requestId);
+  }
+
+  /** 请求未正常结束就被移除（POST 失败、手动取消监听等） */
+  requestAbandoned(requestId) {
+    this.tracked.delete(requestId);
+  }
+
+  /** @param {string} requestId */
+  track(requestId) {
+    let entry = this.tracked.get(requestId);
+    if (!entry) {
+      entry = { startedAt: undefined, firstAt: undefined };
+      this.tracked.set(requestId, entry);
+      // 防止未结束的请求无限累积：淘汰最早的
+      if (this.tracked.size > this.maxTracked) this.tracked.delete(this.tracked.keys().next().value);
+    }
+    return entry;
+  }
+
+  messageReceived() {
+    this.messagesTotal += 1;
+    const second = Math.floor(this.now() / 1000);
+    this.messageBuckets.set(second, (this.messageBuckets.get(second) || 0) + 1);
+    this.pruneBuckets(second);
+  }
+
+  /** @param {number} second */
+  pruneBuckets(second) {
+    const oldest = second - Math.ceil(this.rateWindow / 1000);
+    for (const key of this.messageBuckets.keys()) {
+      if (key > oldest) break;
+      this.messageBuckets.delete(key);
+    }
+  }
+
+  /** @param {string} reason */
+  reconnect(reason) {
+    this.reconnectReasons[reason] = (this.reconnectReasons[reason] || 0) + 1;
+  }
+
+  /**
+   * @param {keyof Metrics['dropped']} kind
+   * @param {number=} count
+   */
+  drop(kind, count = 1) {
+    this.dropped[kind] += count;
+  }
+
+  /**
+   * @param {number} pending 当前暂存条数
+   * @returns {SSEMetricsSnapshot}
+   */
+  snapshot(pending = 0) {
+    const second = Math.floor(this.now() / 1000);
+    this.pruneBuckets(second);
+    let recent = 0;
+    for (const count of this.messageBuckets.values()) recent += count;
+    const reconnectTotal = Object.values(this.reconnectReasons).reduce((acc, n) => acc + n, 0);
+    return {
+      since: this.since,
+      latency: { firstEvent: this.firstEvent.snapshot(), duration: this.duration.snapshot() },
+      requests: { ...this.requests, active: this.tracked.size },
+      reconnects: { total: reconnectTotal, byReason: { ...this.reconnectReasons } },
+      opens: this.opens,
+      heartbeatTimeouts: this.heartbeatTimeouts,
+      messages: { total: this.messagesTotal, perSecond: Math.round((recent / (this.rateWindow / 1000)) * 100) / 100 },
+      dropped: { ...this.dropped },
+      unrouted: { buffered: this.unroutedBuffered, pending },
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * 中间件（请求/响应/消息拦截）
+ * 中文注释：通过 client.use() 注册，按注册顺序执行，用于租户请求头、载荷解包、审计日志等横切逻辑。
+ * - onRequest(ctx)：POST 发出前调用；可修改 ctx.url/ctx.init，或返回新的 { url?, init? } 合并进 ctx
+ * - onResponse(res, ctx)：收到响应后调用；返回值（非 undefined）替换响应，可通过 ctx.retry() 重新发送请求
+ * - onMessage(msg)：消息路由前调用；返回对象替换消息，返回 null/false 拦截（丢弃），返回 undefined 保持原样
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} url
+ * @property {RequestInit & { headers: Record<string,string> }} init
+ * @property {string=} requestId
+ * @property {number} attempt                // 当前发送次数（首次为 0，每次 retry() 加 1）
+ * @property {() => Promise<Response>} retry // 用当前 url/init 重新发送，返回新响应（后续中间件看到的是新响应）
+ */
+
+/**
+ * @typedef {Object} SSEMiddleware
+ * @property {(ctx:RequestContext)=>(void|Partial<RequestContext>|Promise<void|Partial<RequestContext>>)=} onRequest
+ * @property {(res:Response, ctx:RequestContext)=>(void|Response|Promise<void|Response>)=} onResponse
+ * @property {(msg:Object)=>(Object|null|false|void)=} onMessage
+ */
+
+export class MiddlewareStack {
+  constructor() {
+    /** @type {SSEMiddleware[]} */
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * 注册中间件，返回移除函数（重复调用无副作用）
+   * @param {SSEMiddleware} mw
+   * @returns {() => void}
+   */
+  add(mw) {
+    const valid = mw && typeof mw === 'object'
+      && ['onRequest', 'onResponse', 'onMessage'].some(k => typeof mw[k] === 'function');
+    if (!valid) throw new Error('use(middleware) requires an object with onRequest/onResponse/onMessage');
+    this.items.push(mw);
+    return () => {
+      const idx = this.items.indexOf(mw);
+      if (idx !== -1) this.items.splice(idx, 1);
+    };
+  }
+
+  /**
+   * @param {RequestContext} ctx
+   * @returns {Promise<RequestContext>}
+   */
+  async runRequest(ctx) {
+    for (const mw of [...this.items]) {
+      if (typeof mw.onRequest !== 'function') continue;
+      const patch = await mw.onRequest(ctx);
+      if (patch && typeof patch === 'object') Object.assign(ctx, patch);
+    }
+    return ctx;
+  }
+
+  /**
+   * @param {Response} res
+   * @param {RequestContext} ctx
+   * @returns {Promise<Response>}
+   */
+  async runResponse(res, ctx) {
+    let current = res;
+    for (const mw of [...this.items]) {
+      if (typeof mw.onResponse !== 'function') continue;
+      const next = await mw.onResponse(current, ctx);
+      if (next !== undefined) current = next;
+    }
+    return current;
+  }
+
+  /**
+   * 依次变换消息；任一中间件拦截时返回 null
+   * @param {Object} msg
+   * @returns {Object|null}
+   */
+  runMessage(msg) {
+    let current = msg;
+    for (const mw of [...this.items]) {
+      if (typeof mw.onMessage !== 'function') continue;
+      const next = mw.onMessage(current);
+      if (next === null || next === false) return null;
+      if (next !== undefined) current = next;
+    }
+    return current;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * 离线发件箱
+ * 中文注释：离线时发起、或因网络错误失败的 POST 先进入队列，恢复在线后按入队顺序逐条重放；
+ * 调用方的 Promise 在请求最终送达后才 resolve。可选持久化到 localStorage 风格的存储，
+ * 页面重新加载后继续重放（此时没有等待中的调用方，消息会进入暂存缓冲，可用 listen() 接收）。
+ */
+
+/**
+ * @typedef {Object} OutboxOptions
+ * @property {{ getItem:(key:string)=>(string|null), setItem:(key:string, value:string)=>void, removeItem:(key:string)=>void }=} storage
+ *   持久化存储（如 localStorage）；未提供时只保存在内存
+ * @property {string=} key                   // 存储键，默认 "vsse:outbox"
+ * @property {number=} maxSize               // 队列上限，默认 100；已满时新请求直接失败
+ * @property {number=} ttl                   // 条目最长保留时间（ms），默认 24 小时；过期后丢弃
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} requestId
+ * @property {string} postUrl
+ * @property {any} body
+ * @property {Object} options                // 发送选项；持久化时只保留 headers/timeout/credentials
+ * @property {number} createdAt
+ */
+
+/**
+ * 是否为网络层错误（fetch 在断网、DNS 失败等情况下以 TypeError reject）
+ * @param {any} e
+ */
+export function isNetworkError(e) {
+  return !!e && (e instanceof TypeError || e.name === 'TypeError');
+}
+
+export class Outbox {
+  /**
+   * @param {OutboxOptions} options
+   * @param {(entry:OutboxEntry)=>Promise<Response>} send 实际发送函数
+   * @param {import('./logger.js').Logger} logger
+   * @param {()=>number=} now 时钟（与条目 createdAt 同源），默认 Date.now
+   */
+  constructor(options, send, logger, now = Date.now) {
+    this.storage = options.storage;
+    this.key = options.key || 'vsse:outbox';
+    this.maxSize = options.maxSize ?? 100;
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.send = send;
+    this.logger = logger;
+    this.now = now;
+    /** @type {OutboxEntry[]} */
+    this.entries = this.load();
+    /** @type {Map<string,{ resolve: Function, reject: Function }>} 本会话中等待送达的调用方 */
+    this.waiters = new Map();
+    /** @type {Promise<void>|undefined} */
+    this.flushing = undefined;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 入队并返回"送达后 resolve"的 Promise
+   * @param {OutboxEntry} entry
+   * @returns {Promise<Response>}
+   */
+  enqueue(entry) {
+    if (this.entries.length >= this.maxSize) {
+      return Promise.reject(new Error(`Outbox is full (${this.maxSize})`));
+    }
+    this.entries.push(entry);
+    this.save();
+    this.logger.info('请求已加入离线队列', { requestId: entry.requestId, queued: this.entries.length });
+    return new Promise((resolve, reject) => {
+      this.waiters.set(entry.requestId, { resolve, reject });
+    });
+  }
+
+  /**
+   * 移除某个请求（取消时调用）；等待中的调用方以 error reject
+   * @param {string} requestId
+   * @param {any} error
+   * @returns {boolean} 是否在队列中
+   */
+  remove(requestId, error) {
+    const idx = this.entries.findIndex(e => e.requestId === requestId);
+    if (idx === -1) return false;
+    this.entries.splice(idx, 1);
+    this.save();
+    this.settle(requestId, 'reject', error);
+    return true;
+  }
+
+  /**
+   * 按顺序重放队列；遇到网络错误时停止（剩余条目保留到下次 flush）
+   * 并发调用共享同一次重放
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = undefined;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    this.dropExpired();
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+      let res;
+      try {
+        res = await this.send(entry);
+      } catch (e) {
+        if (isNetworkError(e)) {
+          this.logger.info('离线队列重放中断，等待网络恢复', { requestId: entry.requestId, queued: this.entries.length });
+          return;
+        }
+        this.shift(entry);
+        this.settle(entry.requestId, 'reject', e);
+        continue;
+      }
+      this.shift(entry);
+      this.logger.info('离线队列请求已送达', { requestId: entry.requestId, status: res && res.status });
+      this.settle(entry.requestId, 'resolve', res);
+    }
+  }
+
+  /** 丢弃超过 ttl 的条目 */
+  dropExpired() {
+    const cutoff = this.now() - this.ttl;
+    const expired = this.entries.filter(e => e.createdAt < cutoff);
+    if (expired.length === 0) return;
+    this.entries = this.entries.filter(e => e.createdAt >= cutoff);
+    this.save();
+    expired.forEach((e) => {
+      this.logger.warn('离线队列请求已过期，丢弃', { requestId: e.requestId });
+      this.settle(e.requestId, 'reject', new Error(`Outbox entry expired: ${e.requestId}`));
+    });
+  }
+
+  /** 释放等待者（实例销毁时），队列本身保留在存储中 */
+  dispose(error) {
+    for (const requestId of [...this.waiters.keys()]) this.settle(requestId, 'reject', error);
+  }
+
+  /** @param {OutboxEntry} entry */
+  shift(entry) {
+    // 重放期间条目可能已被 remove()
+    if (this.entries[0] === entry) this.entries.shift();
+    this.save();
+  }
+
+  settle(requestId, kind, value) {
+    const waiter = this.waiters.get(requestId);
+    if (!waiter) return;
+    this.waiters.delete(requestId);
+    waiter[kind](value);
+  }
+
+  /** @returns {OutboxEntry[]} */
+  load() {
+    if (!this.storage) return [];
+    try {
+      const raw = this.storage.getItem(this.key);
+      const list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      this.logger.warn('读取离线队列失败', { key: this.key, error: e });
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      if (this.entries.length === 0) {
+        this.storage.removeItem(this.key);
+        return;
+      }
+      // 只持久化可序列化的字段；signal/token 提供函数等不落盘（重放时使用全局 token）
+      const data = this.entries.map(({ requestId, postUrl, body, options, createdAt }) => ({
+        requestId,
+        postUrl,
+        body,
+        createdAt,
+        options: { headers: options.headers, timeout: options.timeout, credentials: options.credentials },
+      }));
+      this.storage.setItem(this.key, JSON.stringify(data));
+    } catch (e) {
+      this.logger.warn('保存离线队列失败', { key: this.key, error: e });
+    }
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * React 绑定
+ * 中文注释：SSEProvider 向组件树提供共享的 SSEClient；useSSERequest/useBroadcast/useConnectionState
+ * 封装 postAndListen、onBroadcast/subscribe 与生命周期事件的订阅和清理，组件卸载时自动释放监听。
+ * StrictMode 下 effect 会"挂载→卸载→再挂载"：共享实例延迟归还，避免开发环境反复销毁重建连接。
+ * 通过 "vsse/react" 引入（需要 React 18+）。
+ */
+
+import { createContext, createElement, useCallback, useContext, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { getClient, releaseClient } from './manager.js';
+
+/**
+ * @typedef {('idle'|'pending'|'streaming'|'done'|'error'|'cancelled')} SSERequestStatus
+ * idle：尚未发起；pending：POST 已发出、尚未收到消息；streaming：已收到消息；
+ * done/error/cancelled：已结束（error 可能来自 POST 失败或服务端 error 事件）
+ */
+
+/**
+ * @typedef {Object} SSERequestState
+ * @property {SSERequestStatus} status
+ * @property {import('./sse-client.js').SSEMessage<any>[]} messages // 本次请求累积的消息（含 done/error）
+ * @property {any=} error                    // POST 异常、非 2xx 响应或服务端 error 消息
+ * @property {string=} requestId
+ */
+
+/**
+ * @typedef {Object} SSEProviderProps
+ * @property {import('./sse-client.js').SSEClient=} client // 外部创建的实例（由调用方负责销毁）
+ * @property {string=} url                   // 未提供 client 时，通过 getClient(url, options) 获取共享实例，卸载时归还
+ * @property {Omit<import('./sse-client.js').SSEClientOptions,'url'>=} options // 仅在 url 变化时读取
+ * @property {any=} children
+ */
+
+/** @type {import('react').Context<import('./sse-client.js').SSEClient|null|undefined>} */
+const SSEContext = createContext(undefined);
+
+/** @type {SSERequestState} */
+const IDLE = { status: 'idle', messages: [], error: undefined, requestId: undefined };
+
+const noop = () => {};
+
+/**
+ * 向组件树提供 SSEClient
+ * @param {SSEProviderProps} props
+ */
+export function SSEProvider({ client, url, options, children }) {
+  const [shared, setShared] = useState(/** @type {import('./sse-client.js').SSEClient|null} */ (null));
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  useEffect(() => {
+    if (client || !url) return undefined;
+    const acquired = getClient(url, optionsRef.current);
+    setShared(acquired);
+    return () => {
+      // 延迟归还：StrictMode 的立即再挂载会先取回同一实例，引用计数不会归零
+      setTimeout(() => releaseClient(acquired), 0);
+    };
+  }, [client, url]);
+
+  return createElement(SSEContext.Provider, { value: client || shared }, children);
+}
+
+/**
+ * 读取 SSEProvider 提供的实例；共享实例尚在获取时（首次渲染）返回 null
+ * @returns {import('./sse-client.js').SSEClient|null}
+ */
+export function useSSEClient() {
+  const client = useContext(SSEContext);
+  if (client === undefined) throw new Error('useSSEClient() must be used within <SSEProvider>');
+  return client;
+}
+
+/**
+ * 订阅连接状态：'disconnected' | 'connecting' | 'connected' | 'error'
+ * @returns {string}
+ */
+export function useConnectionState() {
+  const client = useSSEClient();
+  const subscribe = useCallback((onChange) => (client ? client.on('statechange', onChange) : noop), [client]);
+  return useSyncExternalStore(
+    subscribe,
+    () => (client ? client.connectionState : 'disconnected'),
+    () => 'disconnected',
+  );
+}
+
+/**
+ * 订阅全局广播；传入 topic 时改为订阅主题（见 client.subscribe()）
+ * handler 总是使用最新一次渲染的版本，无需 useCallback
+ * @param {(msg:import('./sse-client.js').SSEMessage<any>)=>void} handler
+ * @param {{ topic?: string }=} options
+ */
+export function useBroadcast(handler, options = {}) {
+  const client = useSSEClient();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const { topic } = options;
+
+  useEffect(() => {
+    if (!client) return undefined;
+    const cb = (msg) => handlerRef.current(msg);
+    return topic ? client.subscribe(topic, cb) : client.onBroadcast(cb);
+  }, [client, topic]);
+}
+
+/**
+ * 发起请求并跟踪其 SSE 消息
+ * 同一组件再次 send() 会放弃上一个请求的监听（不通知服务端；需要时先调用 cancel()）；组件卸载时自动释放监听
+ * @param {string} postUrl
+ * @param {(import('./sse-client.js').PostOptions & import('./sse-client.js').ListenOptions)=} defaults 每次 send() 的默认选项
+ * @returns {SSERequestState & {
+ *   send: (body:any, options?:(import('./sse-client.js').PostOptions & import('./sse-client.js').ListenOptions & { requestId?: string }))=>Promise<string|undefined>,
+ *   cancel: (reason?:string)=>Promise<Response|undefined>,
+ *   reset: ()=>void,
+ * }}
+ */
+export function useSSERequest(postUrl, defaults = {}) {
+  const client = useSSEClient();
+  const [state, setState] = useState(IDLE);
+  /** @type {import('react').MutableRefObject<{ requestId: string, unsubscribe?: () => void }|null>} 当前请求 */
+  const active = useRef(null);
+  const defaultsRef = useRef(defaults);
+  defaultsRef.current = defaults;
+
+  const release = useCallback(() => {
+    const current = active.current;
+    active.current = null;
+    if (current && current.unsubscribe) current.unsubscribe();
+  }, []);
+
+  // 卸载或实例切换时释放监听（StrictMode 的额外卸载只会释放尚未发起的空状态）
+  useEffect(() => release, [client, release]);
+
+  const send = useCallback(async (body, options = {}) => {
+    if (!client) throw new Error('useSSERequest: SSEClient is not ready');
+    release();
+    const requestId = options.requestId || client.createRequestId();
+    const current = { requestId };
+    active.current = current;
+    setState({ status: 'pending', messages: [], error: undefined, requestId });
+
+    const onEvent = (msg) => {
+      if (active.current !== current) return;
+      setState((prev) => {
+        const messages = [...prev.messages, msg];
+        if (msg.event === 'done') return { ...prev, messages, status: 'done' };
+        if (msg.event === 'error') return { ...prev, messages, status: 'error', error: msg };
+        if (msg.event === 'cancelled') return { ...prev, messages, status: 'cancelled' };
+        return { ...prev, messages, status: 'streaming' };
+      });
+    };
+
+    try {
+      const handle = await client.postAndListen(postUrl, body, onEvent, { ...defaultsRef.current, ...options, requestId });
+      if (active.current !== current) {
+        // POST 期间已卸载或发起了新请求
+        handle.unsubscribe();
+        return requestId;
+      }
+      current.unsubscribe = handle.unsubscribe;
+      if (!handle.response || !handle.response.ok) {
+        const status = handle.response ? handle.response.status : 'no response';
+        setState(prev => ({ ...prev, status: 'error', error: new Error(`POST failed: ${status}`) }));
+      }
+      return requestId;
+    } catch (e) {
+      if (active.current === current) {
+        active.current = null;
+        // 取消时 POST 以 AbortError 结束，保留 cancelled 状态
+        setState(prev => (prev.status === 'cancelled' ? prev : { ...prev, status: 'error', error: e }));
+      }
+      return undefined;
+    }
+  }, [client, postUrl, release]);
+
+  // 取消当前请求：回调收到 cancelled 后状态变为 cancelled（见 client.cancel()）
+  const cancel = useCallback(async (reason) => {
+    const current = active.current;
+    if (!client || !current) return undefined;
+    return client.cancel(current.requestId, reason);
+  }, [client]);
+
+  const reset = useCallback(() => {
+    release();
+    setState(IDLE);
+  }, [release]);
+
+  return { ...state, send, cancel, reset };
+}
@@ -0,0 +1,93 @@
+/**
+ * 流量录制与回放
+ * 中文注释：用户反馈"流断了"时，录制客户端实际收到的内容：生命周期事件、原始帧、解码后的消息以及路由结果。
+ * 使用环形缓冲只保留最近 size 条；导出为 JSON 后可在本地通过 client.replay() 重新送入 dispatch() 复现问题。
+ * 录制内容包含消息载荷，上传前请注意脱敏。
+ */
+
+/**
+ * @typedef {Object} RecordEntry
+ * @property {number} t                      // 时间戳
+ * @property {'lifecycle'|'frame'|'message'|'route'} kind
+ * @property {string=} type                  // lifecycle：事件名；frame：SSE 事件类型
+ * @property {any=} payload                  // lifecycle 事件参数
+ * @property {string=} data                  // frame 原始 data
+ * @property {string=} lastEventId           // frame 事件 id
+ * @property {Object=} msg                   // message：经过中间件、即将 dispatch 的消息
+ * @property {string=} requestId             // route
+ * @property {string=} event                 // route
+ * @property {('listener'|'broadcast'|'buffered'|'dropped')=} decision // route：路由结果
+ * @property {string=} reason                // route：dropped 的原因（decodeError/vetoed/invalid/duplicate）
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {number} version
+ * @property {string=} url
+ * @property {number} startedAt
+ * @property {number} exportedAt
+ * @property {RecordEntry[]} entries
+ */
+
+export const RECORDING_VERSION = 1;
+
+export class TrafficRecorder {
+  /**
+   * @param {{ size?: number, now?: ()=>number }=} options size：最多保留的条数，默认 1000；now：时钟，默认 Date.now
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.size = options.size ?? 1000;
+    this.clear();
+  }
+
+  clear() {
+    /** @type {RecordEntry[]} */
+    this.buffer = [];
+    this.next = 0;
+    this.startedAt = this.now();
+  }
+
+  /** @param {Omit<RecordEntry,'t'>} entry */
+  record(entry) {
+    const item = { t: this.now(), ...entry };
+    if (this.buffer.length < this.size) this.buffer.push(item);
+    else this.buffer[this.next] = item;
+    this.next = (this.next + 1) % this.size;
+  }
+
+  /**
+   * 按时间顺序返回当前保留的条目
+   * @returns {RecordEntry[]}
+   */
+  entries() {
+    if (this.buffer.length < this.size) return [...this.buffer];
+    return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+  }
+
+  /**
+   * @param {{ url?: string }=} meta
+   * @returns {Recording}
+   */
+  toJSON(meta = {}) {
+    return {
+      version: RECORDING_VERSION,
+      url: meta.url,
+      startedAt: this.startedAt,
+      exportedAt: this.now(),
+      entries: this.entries(),
+    };
+  }
+}
+
+/**
+ * 解析录制内容（JSON 字符串或对象）
+ * @param {string|Recording} recording
+ * @returns {Recording}
+ */
+export function parseRecording(recording) {
+  const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+  if (!data || !Array.isArray(data.entries)) throw new Error('Invalid recording: entries missing');
+  if (data.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version: ${data.version}`);
+  return data;
+}
@@ -0,0 +1,136 @@
+/**
+ * 事件校验
+ * 中文注释：defineEvent() 为某个 event 声明 payload 的校验规则，可以是判断函数，也可以是 JSON Schema 风格的描述对象。
+ * 只实现常用关键字（type/enum/const/properties/required/additionalProperties/items/长度与范围/pattern），
+ * 不追求完整的 JSON Schema 语义；需要更复杂的规则时传入判断函数（可在其中调用任意校验库）。
+ */
+
+/**
+ * JSON Schema 风格的描述对象（子集）
+ * @typedef {Object} EventSchema
+ * @property {(SchemaType|SchemaType[])=} type
+ * @property {any[]=} enum
+ * @property {any=} const
+ * @property {Record<string,EventSchema>=} properties
+ * @property {string[]=} required
+ * @property {boolean=} additionalProperties // false 时不允许 properties 之外的字段
+ * @property {EventSchema=} items            // 数组元素的规则
+ * @property {number=} minimum
+ * @property {number=} maximum
+ * @property {number=} minLength             // 字符串/数组长度下限
+ * @property {number=} maxLength             // 字符串/数组长度上限
+ * @property {string=} pattern               // 字符串需匹配的正则
+ */
+
+/**
+ * @typedef {('string'|'number'|'integer'|'boolean'|'object'|'array'|'null')} SchemaType
+ */
+
+/**
+ * 类型守卫形式的判断函数：T 会成为该事件 payload 的类型
+ * @template T
+ * @typedef {(payload:any, msg:import('./sse-client.js').SSEMessage<any>) => payload is T} EventPredicate
+ */
+
+/**
+ * 判断函数：返回真值表示通过；返回假值或抛错表示不通过（抛出的错误信息会出现在校验结果中）
+ * 返回普通 boolean 时 payload 类型保持 any
+ * @typedef {(payload:any, msg:import('./sse-client.js').SSEMessage<any>) => boolean} EventCheck
+ */
+
+/**
+ * @template T
+ * @typedef {(EventPredicate<T>|EventCheck|EventSchema)} EventValidator
+ */
+
+/**
+ * @param {any} value
+ * @returns {SchemaType}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return /** @type {SchemaType} */ (typeof value);
+}
+
+/**
+ * @param {SchemaType} expected
+ * @param {any} value
+ */
+function matchesType(expected, value) {
+  if (expected === 'integer') return Number.isInteger(value);
+  if (expected === 'number') return typeof value === 'number' && !Number.isNaN(value);
+  return typeOf(value) === expected;
+}
+
+/**
+ * 按描述对象校验，返回错误列表（空数组表示通过）
+ * @param {EventSchema} schema
+ * @param {any} value
+ * @param {string=} path 错误信息中的字段路径，默认 "payload"
+ * @returns {string[]}
+ */
+export function validateSchema(schema, value, path = 'payload') {
+  const errors = [];
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(t, value))) {
+      // 类型不符时不再检查其余关键字，避免连带错误
+      return [`${path}: expected ${types.join('|')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: length must be >= ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: length must be <= ${schema.maxLength}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: must match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    const props = schema.properties || {};
+    Object.keys(props).forEach((key) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(props[key], value[key], `${path}.${key}`));
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value).filter(key => !(key in props)).forEach(key => errors.push(`${path}.${key}: is not allowed`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * 把校验规则编译为统一的校验函数
+ * @param {EventValidator<any>} validator
+ * @returns {(payload:any, msg:import('./sse-client.js').SSEMessage<any>)=>string[]} 返回错误列表
+ */
+export function compileValidator(validator) {
+  if (typeof validator === 'function') {
+    return (payload, msg) => {
+      try {
+        return validator(payload, msg) ? [] : ['payload: rejected by validator'];
+      } catch (e) {
+        return [`payload: ${(e && e.message) || e}`];
+      }
+    };
+  }
+  if (validator && typeof validator === 'object') {
+    return (payload) => validateSchema(validator, payload);
+  }
+  throw new Error('defineEvent(name, validator) requires a function or schema object');
+}
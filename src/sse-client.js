@@ -1,10 +1,22 @@
 /**
  * vsse - Very Simple SSE client with single-connection multiplexing
  * 中文注释：统一 SSE 长连接 + POST 发起与回调分发；支持全局/单次 POST 配置；
- * 浏览器端使用 EventSource（支持自定义 headers via event-source-polyfill）。
+ * 浏览器端使用 EventSource（支持自定义 headers via event-source-polyfill）；
+ * 定时器/活动/网络信号与 fetch/EventSource 实现经由 env 抽象，可运行于 Worker、Node 与 SSR。
  */
 
-import { EventSourcePolyfill } from 'event-source-polyfill';
+import { FetchEventSource } from './fetch-transport.js';
+import { TabCoordinator } from './tab-share.js';
+import { createEnvironment } from './env.js';
+import { Logger } from './logger.js';
+import { Emitter } from './emitter.js';
+import { TopicRegistry, readField } from './topics.js';
+import { resolveDecoder } from './decoders.js';
+import { MiddlewareStack } from './middleware.js';
+import { Outbox, isNetworkError } from './outbox.js';
+import { Metrics } from './metrics.js';
+import { TrafficRecorder, parseRecording } from './recorder.js';
+import { compileValidator } from './schema.js';
 
 /**
  * @typedef {('progress'|'done'|'error'|'ping'|string)} SSEEventName
@@ -26,13 +38,46 @@ import { EventSourcePolyfill } from 'event-source-polyfill';
  * // 说明：除上述常见字段外，其余顶层字段也会原样透传至回调参数
  */
 
+/**
+ * 客户端本地派发或协议约定的事件，回调类型中始终包含（已在事件表中声明的除外）
+ * @typedef {('done'|'error'|'cancelled'|'reconnecting'|'resumed')} BuiltinEventName
+ */
+
+/**
+ * 由事件表（event → payload 类型，见 defineEvent()）推导的消息联合类型，可按 event 字段收窄 payload
+ * 事件表为空（未调用 defineEvent()）时不限制 event，payload 为 any
+ * @template {Record<string, any>} M
+ * @typedef {([keyof M] extends [never]
+ *   ? SSEMessage<any>
+ *   : ({ [K in keyof M]: SSEMessage<M[K]> & { event: K } }[keyof M] | (SSEMessage<any> & { event: Exclude<BuiltinEventName, keyof M> })))} EventMessage
+ */
+
 /**
  * @typedef {Object} PostOptions
  * @property {Record<string,string>=} headers
  * @property {number=} timeout               // POST 超时（ms）
  * @property {RequestCredentials=} credentials // include/same-origin/omit
- * @property {string=} token                 // Authorization: Bearer <token>
- * @property {AbortSignal=} signal           // 可选外部取消
+ * @property {(string|TokenProvider)=} token // Authorization: Bearer <token>
+ * @property {AbortSignal=} signal           // 可选外部取消：取消整个任务（中止 POST、调用 cancelUrl、派发 cancelled 并移除监听）
+ * @property {(number|false|Partial<PostRetryPolicy>)=} retry // 覆盖全局 postRetry：数字为重试次数，false 不重试
+ */
+
+/**
+ * 异步 token 提供函数：每次建立 SSE 连接与每次 POST 前调用；收到 401 时以 refresh=true 再调用一次
+ * @callback TokenProvider
+ * @param {{ refresh: boolean }} ctx
+ * @returns {(string|undefined|Promise<string|undefined>)}
+ */
+
+/**
+ * 单个 requestId 监听的选项（postAndListen/stream/listen 通用）
+ * @typedef {Object} ListenOptions
+ * @property {number=} streamTimeout         // 单次请求从注册到 done/error 的最长时间（ms），0 表示不限
+ * @property {number=} eventTimeout          // 相邻两条消息的最长间隔（ms），0 表示不限
+ * @property {boolean=} ordered              // 按 seq 重排后再投递，默认 false
+ * @property {number=} seqStart              // ordered 模式下第一条消息的 seq，默认 1
+ * @property {number=} orderWindow           // ordered 模式下最多暂扣多少条乱序消息，默认 50
+ * @property {number=} orderTimeout          // ordered 模式下等待缺失 seq 的最长时间（ms），默认 2000
  */
 
 /**
@@ -41,23 +86,200 @@ import { EventSourcePolyfill } from 'event-source-polyfill';
  * @property {number=} idleTimeout           // 用户无操作多久断开 SSE，默认 30_000ms
  * @property {Record<string,string>=} defaultHeaders
  * @property {number=} defaultTimeout        // POST 默认超时
+ * @property {number=} defaultStreamTimeout  // 请求完成超时默认值（ms），默认 0（不限）
+ * @property {number=} defaultEventTimeout   // 请求消息间隔超时默认值（ms），默认 0（不限）
+ * @property {number=} unroutedBufferSize    // 暂存"有 requestId 但尚无监听"的消息条数上限，默认 200；0 关闭
+ * @property {number=} unroutedBufferTTL     // 暂存消息的保留时间（ms），默认 30_000
+ * @property {string=} topicField            // subscribe() 匹配的消息字段（支持 "meta.topic" 路径），默认 "topic"
+ * @property {(topic:string)=>(void|Promise<void>)=} onTopicSubscribe   // 某主题模式首次被订阅时调用（以及重连后重新声明）
+ * @property {(topic:string)=>(void|Promise<void>)=} onTopicUnsubscribe // 某主题模式最后一个订阅取消时调用
  * @property {RequestCredentials=} credentials // POST 默认 credentials
- * @property {string=} token                 // 全局 Authorization token
- * @property {string=} eventName             // SSE 事件名，默认 "message"（如你的后端用 notify，设置为 notify）
+ * @property {Partial<PostRetryPolicy>=} postRetry // POST 重试策略，默认不重试（attempts: 0）
+ * @property {(string|((requestId:string)=>string))=} cancelUrl // cancel() 通知服务端停止任务的地址；未配置时只在本地取消
+ * @property {string=} cancelMethod          // 取消请求的 HTTP 方法，默认 POST（请求体为 { requestId }）
+ * @property {(boolean|import('./outbox.js').OutboxOptions)=} outbox // 离线发件箱：离线/网络错误时排队，恢复在线后按序重放，默认 false
+ * @property {(string|TokenProvider)=} token // 全局 Authorization token；传函数时每次连接/POST 前解析，401 时刷新重试一次
+ * @property {(string|string[]|Record<string,(string|null)>)=} eventName // SSE 事件名，默认 "message"（如你的后端用 notify，设置为 notify）
+ *   可传数组同时监听多个 SSE 事件类型；传对象时键为 SSE 事件类型、值为映射后的逻辑 event（null 表示沿用类型名），
+ *   例如 { progress: null, complete: 'done' }
+ * @property {('json'|'text'|'ndjson'|SSEDecoder)=} decoder // data 解码方式，默认 'json'；'text' 原样放入 payload，'ndjson' 每行一条 JSON
+ * @property {(error:any, frame:SSEFrame)=>void=} onDecodeError // 解码失败时调用（收到原始帧）；未提供时输出 warn 日志
+ * @property {import('./middleware.js').SSEMiddleware[]=} middleware // 初始中间件，等价于依次调用 use()
+ * @property {Record<string,import('./schema.js').EventValidator<any>>=} events // 初始事件校验规则，等价于依次调用 defineEvent()
+ * @property {(error:Error & { code: 'INVALID_MESSAGE', event: string, errors: string[] }, msg:SSEMessage<any>)=>void=} onInvalidMessage
+ *   消息未通过 defineEvent() 校验时调用（消息已被丢弃）；未提供时输出 warn 日志
+ * @property {boolean=} closeWhenHidden      // 标签页转入后台超过 hiddenGrace 后，若只剩广播/主题监听则关闭连接，回到前台时续传重连，默认 false
+ * @property {number=} hiddenGrace           // 后台宽限期（ms），默认 30_000
+ * @property {number=} metricsInterval      // 定期上报指标的周期（ms），需配合 onMetrics，默认 0（不上报）
+ * @property {(metrics:import('./metrics.js').SSEMetricsSnapshot)=>void=} onMetrics // 指标上报回调
+ * @property {(boolean|{ size?: number })=} record // 流量录制（环形缓冲，默认保留 1000 条），默认 false
  * @property {boolean=} withHeartbeat        // 是否启用心跳监测，默认 true
  * @property {number=} expectedPingInterval  // 预期心跳周期（ms），默认 15_000
  * @property {boolean=} sseWithCredentials   // SSE 是否携带 Cookie，默认 false；跨域未允许凭据时建议保持 false
  * @property {Record<string,string>=} sseHeaders // SSE 连接自定义请求头（需要 event-source-polyfill 支持）
  * @property {number=} maxListeners          // 防泄漏保护，默认 1000
+ * @property {('eventsource'|'fetch')=} transport // SSE 传输方式，默认 'eventsource'；'fetch' 使用 fetch + ReadableStream 自解析
+ * @property {string=} sseMethod             // transport='fetch' 时的 HTTP 方法，默认 GET
+ * @property {any=} sseBody                  // transport='fetch' 时的请求体（非字符串按 JSON 序列化）
+ * @property {('header'|'query'|'none')=} resumeMode // 重连时如何携带 Last-Event-ID，默认 'header'
+ * @property {string=} lastEventIdParam      // resumeMode='query' 时的查询参数名，默认 "lastEventId"
+ * @property {number=} dedupeWindow          // 记住最近多少个事件 id 用于去重，默认 500；0 关闭去重
+ * @property {import('./logger.js').LogLevel=} logLevel // 日志级别，默认 'info'；生产环境可设为 'silent'
+ * @property {import('./logger.js').LogSink=} logger // 日志输出目标，默认 console；可为对象（debug/info/warn/error）或接收 LogEntry 的函数
+ * @property {Partial<import('./env.js').SSEEnvironment>=} env // 运行环境覆盖（定时器、活动信号、fetch、EventSource 等）
+ * @property {(boolean|import('./tab-share.js').TabShareOptions)=} shareAcrossTabs // 跨标签页共享同一条 SSE 连接，默认 false
+ * @property {boolean=} notifyReconnect      // 断线/恢复时是否向进行中的 postAndListen 回调派发 reconnecting/resumed 事件，默认 false
  * @property {{ baseMs:number, maxMs:number, factor:number, jitter:number }=} reconnectBackoff
  */
 
+/**
+ * 原始 SSE 帧
+ * @typedef {Object} SSEFrame
+ * @property {string} type                   // SSE 事件类型
+ * @property {string} data
+ * @property {string} lastEventId
+ */
+
+/**
+ * 自定义解码器：返回一条或多条消息；返回 null/undefined 表示忽略该帧，抛错视为格式错误
+ * @callback SSEDecoder
+ * @param {string} data
+ * @param {SSEFrame} frame
+ * @returns {(Object|Object[]|null|undefined)}
+ */
+
+/**
+ * 生命周期事件及其参数
+ * @typedef {Object} SSELifecycleEvents
+ * @property {{ state: string, previous: string, reason?: string }} statechange
+ * @property {{ httpStatus?: number }} open
+ * @property {{ reason: string }} close
+ * @property {{ reason: string, delay: number, attempt: number }} reconnecting  // delay：距下次尝试的毫秒数
+ * @property {{ reason: string, httpStatus?: number, error?: any }} error
+ * @property {{ since: number, expected: number }} heartbeat-timeout
+ */
+
 /**
  * @typedef {Object} ListenerHandle
  * @property {string} requestId
  * @property {() => void} unsubscribe        // 手动取消监听
  */
 
+/**
+ * POST 重试策略
+ * @typedef {Object} PostRetryPolicy
+ * @property {number} attempts               // 最多重试次数（不含首次），默认 0（不重试）
+ * @property {number} baseMs                 // 退避基准（ms），默认 500
+ * @property {number} maxMs                  // 退避上限（ms），默认 8_000
+ * @property {number} factor                 // 指数因子，默认 2
+ * @property {number} jitter                 // 抖动比例，默认 0.3
+ * @property {number[]} retryOn              // 可重试的 HTTP 状态码，默认 [408, 425, 429, 500, 502, 503, 504]
+ * @property {boolean} networkErrors         // 网络错误/超时是否重试，默认 true
+ * @property {(string|false)} idempotencyHeader // 每次 POST（含重试、离线重放、中间件 ctx.retry()）以 requestId 作为该请求头的值，默认 "Idempotency-Key"；false 不发送
+ */
+
+/** @type {PostRetryPolicy} */
+const DEFAULT_POST_RETRY = {
+  attempts: 0,
+  baseMs: 500,
+  maxMs: 8_000,
+  factor: 2,
+  jitter: 0.3,
+  retryOn: [408, 425, 429, 500, 502, 503, 504],
+  networkErrors: true,
+  idempotencyHeader: 'Idempotency-Key',
+};
+
+/**
+ * 指数退避（带抖动）
+ * @param {{ baseMs:number, maxMs:number, factor:number, jitter?:number }} b
+ * @param {number} attempt 从 0 开始的尝试序号
+ */
+function computeBackoff(b, attempt) {
+  const exp = Math.min(Math.max(b.maxMs, b.baseMs), b.baseMs * Math.pow(b.factor, attempt));
+  const jitter = exp * ((Math.random()) * (b.jitter ?? 0.3));
+  return Math.round(exp + jitter);
+}
+
+/**
+ * signal 被取消时对应的错误
+ * @param {AbortSignal} signal
+ */
+function abortReason(signal) {
+  return signal.reason instanceof Error ? signal.reason : new DOMException('Aborted', 'AbortError');
+}
+
+/**
+ * 合并多个 AbortSignal：任一取消即取消
+ * @param {Array<AbortSignal|undefined>} signals
+ * @returns {AbortSignal}
+ */
+function combineSignals(signals) {
+  const list = signals.filter(Boolean);
+  if (list.length === 1) return list[0];
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(list);
+  const ctrl = new AbortController();
+  for (const s of list) {
+    if (s.aborted) {
+      ctrl.abort(s.reason);
+      break;
+    }
+    s.addEventListener('abort', () => ctrl.abort(s.reason), { once: true });
+  }
+  return ctrl.signal;
+}
+
+/**
+ * 读取响应的 Retry-After（秒数或 HTTP 日期），返回毫秒；缺失或无法解析时返回 undefined
+ * @param {Response} res
+ * @param {number=} now 当前时间（默认 Date.now()）
+ */
+function parseRetryAfter(res, now = Date.now()) {
+  const value = res.headers && typeof res.headers.get === 'function' ? res.headers.get('Retry-After') : null;
+  if (!value) return undefined;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - now);
+}
+
+/**
+ * 在 url 上追加查询参数（已有同名参数时覆盖）
+ * @param {string} url
+ * @param {string} name
+ * @param {string} value
+ */
+function appendQueryParam(url, name, value) {
+  const hashIdx = url.indexOf('#');
+  const hash = hashIdx === -1 ? '' : url.slice(hashIdx);
+  const base = hashIdx === -1 ? url : url.slice(0, hashIdx);
+  const [path, query = ''] = base.split('?');
+  const key = encodeURIComponent(name);
+  const parts = query ? query.split('&').filter(p => p.split('=')[0] !== key) : [];
+  parts.push(`${key}=${encodeURIComponent(value)}`);
+  return `${path}?${parts.join('&')}${hash}`;
+}
+
+/**
+ * 把 eventName 选项规范化为 "SSE 事件类型 → 逻辑 event（可选）" 的映射
+ * @param {string|string[]|Record<string,(string|null)>|undefined} eventName
+ * @returns {Map<string,(string|undefined)>}
+ */
+function resolveEventTypes(eventName) {
+  const types = new Map();
+  if (Array.isArray(eventName)) {
+    eventName.forEach(type => types.set(type, undefined));
+  } else if (eventName && typeof eventName === 'object') {
+    Object.keys(eventName).forEach(type => types.set(type, eventName[type] || undefined));
+  } else {
+    types.set(eventName || 'message', undefined);
+  }
+  if (types.size === 0) types.set('message', undefined);
+  return types;
+}
+
+/**
+ * @template {Record<string, any>} [Events={}] 事件表：event → payload 类型，随 defineEvent() 链式调用累积
+ */
 export class SSEClient {
   /**
    * @param {SSEClientOptions} opts
@@ -66,28 +288,101 @@ export class SSEClient {
     this.opts = {
       idleTimeout: 30_000,
       defaultTimeout: 10_000,
+      defaultStreamTimeout: 0,
+      defaultEventTimeout: 0,
+      unroutedBufferSize: 200,
+      unroutedBufferTTL: 30_000,
+      topicField: 'topic',
       eventName: 'message',
+      decoder: 'json',
+      closeWhenHidden: false,
+      hiddenGrace: 30_000,
       withHeartbeat: false,  // 默认关闭心跳检测，按需启用
       expectedPingInterval: 15_000,
       maxListeners: 100,     // 降低到 100，更合理的上限
       reconnectBackoff: { baseMs: 1000, maxMs: 15_000, factor: 1.8, jitter: 0.3 },
+      transport: 'eventsource',
+      resumeMode: 'header',
+      lastEventIdParam: 'lastEventId',
+      dedupeWindow: 500,
+      notifyReconnect: false,
+      shareAcrossTabs: false,
+      logLevel: 'info',
       ...opts,
     };
+    this.logger = this.createLogger();
+    // 尽早暴露错误的 decoder 配置
+    resolveDecoder(this.opts.decoder);
+    /** 生命周期事件（见 SSELifecycleEvents） */
+    this.events = new Emitter();
+    /** @type {import('./env.js').SSEEnvironment} */
+    this.env = createEnvironment(this.opts.env);
+    /** 内置指标（见 getMetrics()） */
+    this.metrics = new Metrics({ now: () => this.env.now() });
+    /** @type {number|undefined} 指标上报定时器 */
+    this._metricsTimer = undefined;
+    /** @type {TrafficRecorder|undefined} 流量录制（opt-in） */
+    this.recorder = this.opts.record
+      ? new TrafficRecorder({ now: () => this.env.now(), ...(typeof this.opts.record === 'object' ? this.opts.record : {}) })
+      : undefined;
+    /** 请求/响应/消息中间件（见 use()） */
+    this.middleware = new MiddlewareStack();
+    (this.opts.middleware || []).forEach(mw => this.middleware.add(mw));
+    /** @type {Map<string,(payload:any, msg:SSEMessage<any>)=>string[]>} 事件校验（见 defineEvent()） */
+    this.eventValidators = new Map();
+    Object.entries(this.opts.events || {}).forEach(([name, validator]) => this.defineEvent(name, validator));
     /** @type {EventSource|undefined} */
     this.es = undefined;
-    /** @type {Map<string,{ cb: Function, createdAt: number }>} */
+    /** @type {Map<string,{ cb: Function, createdAt: number, lastEventAt: number, streamTimeout: number, eventTimeout: number, order?: Object }>} */
     this.listeners = new Map();
+    /** @type {number|undefined} 过期监听清扫定时器 */
+    this._sweepTimer = undefined;
+    /** @type {number} 清扫定时器的触发时间点 */
+    this._sweepAt = 0;
+    /** @type {Array<{ requestId: string, msg: SSEMessage<any>, at: number }>} 尚无监听的 requestId 消息（按到达顺序） */
+    this.unrouted = [];
+    /** @type {Map<string,AbortController>} 发送中的 POST（cancel() 时中止） */
+    this.inflight = new Map();
+    /** @type {Map<string,{ l: Object|undefined, off: AbortController }>} 外部 AbortSignal 的绑定（请求结束时解除） */
+    this.signalBindings = new Map();
     /** @type {Set<Function>} 全局广播监听（无 requestId） */
     this.globalListeners = new Set();
+    /** 主题订阅（引用计数；首次订阅/最后退订时通知服务端） */
+    this.topics = new TopicRegistry({
+      onFirst: (topic) => this.callTopicHook('onTopicSubscribe', topic),
+      onLast: (topic) => this.callTopicHook('onTopicUnsubscribe', topic),
+    });
+    /** @type {boolean} 是否曾经成功建立过连接（用于重连后重新声明主题） */
+    this._hasOpened = false;
     this.backoffState = { attempts: 0 };
     /** @type {number|undefined} */
     this.idleTimer = undefined;
-    this.lastActiveAt = Date.now();
+    /** @type {number|undefined} 退避重连定时器 */
+    this._reconnectTimer = undefined;
+    /** @type {number|undefined} 后台宽限期定时器 */
+    this._hiddenTimer = undefined;
+    /** @type {boolean} 是否因标签页处于后台而暂停了连接（回到前台时重连） */
+    this._hiddenSuspended = false;
+    this.lastActiveAt = this.env.now();
     this.lastMessageAt = 0;
     this.lastHeartbeatAt = 0;
+    /** @type {number|undefined} 最近一次握手的 HTTP 状态码（仅 transport='fetch' 可获取） */
+    this.lastHttpStatus = undefined;
+    /** @type {number|undefined} 服务端通过 retry 字段下发的重连间隔 */
+    this.serverRetryMs = undefined;
     /** @type {number|undefined} */
     this.heartbeatIntervalId = undefined;
 
+    // 断线续传：记录最后一个事件 id，并用最近见过的 id 去重服务端重放
+    /** @type {string} 最近一次收到的 SSE 事件 id（跨连接保留） */
+    this.lastEventId = '';
+    /** @type {Set<string>} 最近见过的事件 id（按插入顺序淘汰） */
+    this._seenEventIds = new Set();
+    /** @type {string} 当前连接上最近一次的 lastEventId，用于区分"新 id"与"沿用旧 id 的帧" */
+    this._connLastEventId = '';
+    /** @type {boolean} 是否发生过中断且尚未恢复 */
+    this._interrupted = false;
+
     // ✅ 防重复连接保护：连接状态跟踪
     /** @type {'disconnected'|'connecting'|'connected'|'error'} */
     this.connectionState = 'disconnected';
@@ -99,97 +394,525 @@ export class SSEClient {
     this._lastConnectAttempt = 0;
     /** @type {number} 防抖：最小连接间隔（ms） */
     this._minConnectInterval = 500;
+    /** @type {number} 连接序号：异步解析 token 期间被 close() 打断时丢弃过期的连接 */
+    this._connectSeq = 0;
+    /** @type {boolean} 下一次连接是否要求 token 提供函数刷新 */
+    this._refreshTokenOnConnect = false;
+    /** @type {boolean} 本轮是否已因握手 401 刷新重试过（连接成功后复位） */
+    this._authRetried = false;
+
+    /** @type {Outbox|undefined} 离线发件箱（opt-in） */
+    this.outbox = undefined;
+    if (this.opts.outbox) {
+      const outboxOpts = typeof this.opts.outbox === 'object' ? this.opts.outbox : {};
+      this.outbox = new Outbox(outboxOpts, (entry) => this.sendPost(entry.postUrl, entry.body, entry.requestId, entry.options), this.logger, () => this.env.now());
+      // 上次会话遗留的请求：延后到构造完成（便于先注册中间件）再重放
+      if (this.outbox.size > 0) {
+        this.env.setTimeout(() => {
+          if (this.outbox && this.env.isOnline()) this.outbox.flush();
+        }, 0);
+      }
+    }
 
     this.setupActivityListeners();
+    this.startMetricsReporter();
+
+    /** @type {TabCoordinator|undefined} 跨标签页共享（仅在支持 BroadcastChannel 的环境启用） */
+    this.tabShare = undefined;
+    if (this.opts.shareAcrossTabs && typeof BroadcastChannel === 'function') {
+      const shareOpts = typeof this.opts.shareAcrossTabs === 'object' ? this.opts.shareAcrossTabs : {};
+      this.tabShare = new TabCoordinator(this, shareOpts);
+    }
     // 懒连接：只有在有监听器时才连接
   }
 
   /** 动态更新配置；如果 url 改变会自动重连 */
   updateConfig(patch) {
     const needReconnect = !!(patch.url && patch.url !== this.opts.url);
+    // token 只在握手时携带，已建立的连接需要重建才能换上新 token
+    const tokenChanged = 'token' in patch && patch.token !== this.opts.token && !!this.es;
     this.opts = { ...this.opts, ...patch };
+    if ('logger' in patch || 'logLevel' in patch) this.logger = this.createLogger();
+    // 换了流地址，旧的事件 id 不再有意义
+    if (needReconnect) this.resetResumeState();
     if (needReconnect) this.reconnect('url changed');
+    else if (tokenChanged) this.reconnect('token changed');
+  }
+
+  /** 按当前配置创建 Logger；每条日志附带 url 与连接状态 */
+  createLogger() {
+    return new Logger({
+      level: this.opts.logLevel,
+      sink: this.opts.logger,
+      base: () => ({ url: this.opts.url, state: this.connectionState }),
+    });
   }
 
   /** 生成唯一 requestId（简易 UUID v4） */
   createRequestId() {
-    // 参考：短 UUID v4 生成
+    // 参考：短 UUID v4 生成；缺少 Web Crypto 的运行时（如 Node 18 默认配置）回退到 Math.random
+    const hasCrypto = typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function';
+    const randomByte = () => (hasCrypto ? crypto.getRandomValues(new Uint8Array(1))[0] : Math.floor(Math.random() * 256));
     // eslint-disable-next-line no-bitwise
     return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
       // eslint-disable-next-line no-bitwise
-      (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> (c / 4)).toString(16)
+      (c ^ randomByte() & 15 >> (c / 4)).toString(16)
     );
   }
 
   /**
    * 发起 POST，并注册 SSE 回调。返回 ListenerHandle。
-   * @template T
    * @param {string} postUrl
    * @param {any} body
-   * @param {(msg:SSEMessage<T>)=>void} onEvent
-   * @param {(PostOptions & { requestId?: string })=} options
+   * @param {(msg:EventMessage<Events>)=>void} onEvent
+   * @param {(PostOptions & ListenOptions & { requestId?: string })=} options
    * @returns {Promise<ListenerHandle & { response: Response }>}
    */
   async postAndListen(postUrl, body, onEvent, options = {}) {
+    if (options.signal && options.signal.aborted) throw abortReason(options.signal);
     const requestId = options.requestId || this.createRequestId();
 
-    if (this.listeners.size >= (this.opts.maxListeners ?? 1000)) {
-      throw new Error(`Too many listeners: ${this.listeners.size}`);
-    }
-    this.listeners.set(requestId, { cb: onEvent, createdAt: Date.now() });
+    this.addListener(requestId, onEvent, options);
+    this.bindAbortSignal(requestId, options.signal);
 
     // 确保连接
     this.maybeConnect('post');
 
-    // 发送 POST（带上 requestId）
-    const headers = {
-      'Content-Type': 'application/json',
-      ...(this.opts.defaultHeaders || {}),
-      ...(options.headers || {}),
-    };
-    const token = options.token ?? this.opts.token;
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-
-    const ctrl = new AbortController();
-    const timeoutMs = options.timeout ?? this.opts.defaultTimeout ?? 10_000;
-    const timeout = window.setTimeout(() => ctrl.abort(), timeoutMs);
-
-    const postBody = JSON.stringify({ ...(body || {}), requestId });
-
     let res;
     try {
-      res = await fetch(postUrl, {
-        method: 'POST',
-        headers,
-        body: postBody,
-        credentials: options.credentials ?? this.opts.credentials,
-        signal: options.signal ?? ctrl.signal,
-      });
+      this.metrics.requestStarted(requestId);
+      res = await this.deliverPost(postUrl, body, requestId, options);
       if (!res || !res.ok) {
-        this.listeners.delete(requestId);
+        this.metrics.requestAbandoned(requestId);
+        this.removeListener(requestId);
         this.checkIdle();
         // const status = res ? `${res.status} ${res.statusText}` : 'no response';
         // throw new Error(`POST failed: ${status}`);
       }
     } catch (e) {
-      this.listeners.delete(requestId);
+      this.metrics.requestAbandoned(requestId);
+      this.removeListener(requestId);
       this.checkIdle();
       throw e;
-    } finally {
-      clearTimeout(timeout);
     }
 
     const unsubscribe = () => {
-      this.listeners.delete(requestId);
+      this.metrics.requestAbandoned(requestId);
+      this.removeListener(requestId);
       this.checkIdle();
     };
 
     return { requestId, unsubscribe, response: res };
   }
 
+
+  /**
+   * 发送 POST；启用 outbox 时，离线、队列非空（保证顺序）或遇到网络错误的请求进入离线队列，送达后才返回
+   * @param {string} postUrl
+   * @param {any} body
+   * @param {string} requestId
+   * @param {PostOptions} options
+   * @returns {Promise<Response>}
+   */
+  async deliverPost(postUrl, body, requestId, options) {
+    const entry = () => ({ requestId, postUrl, body, options, createdAt: this.env.now() });
+    if (this.outbox && (!this.env.isOnline() || this.outbox.size > 0)) {
+      const queued = this.outbox.enqueue(entry());
+      if (this.env.isOnline()) this.outbox.flush();
+      return queued;
+    }
+    try {
+      return await this.sendPost(postUrl, body, requestId, options);
+    } catch (e) {
+      const aborted = options.signal && options.signal.aborted;
+      if (!this.outbox || aborted || !isNetworkError(e) || !this.listeners.has(requestId)) throw e;
+      this.logger.warn('POST 网络错误，转入离线队列', { requestId, error: e });
+      return this.outbox.enqueue(entry());
+    }
+  }
+
+  /**
+   * 发送一次 POST（含 token 解析、401 刷新与重试策略）；可被 cancel(requestId) 中止
+   * @param {string} postUrl
+   * @param {any} body
+   * @param {string} requestId
+   * @param {PostOptions} options
+   * @returns {Promise<Response>}
+   */
+  async sendPost(postUrl, body, requestId, options = {}) {
+    // 任务级取消：cancel()/options.signal 中止发送中的 POST 与重试等待
+    const task = new AbortController();
+    this.inflight.set(requestId, task);
+    const taskSignal = combineSignals([options.signal, task.signal]);
+
+    // 发送 POST（带上 requestId）
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(this.opts.defaultHeaders || {}),
+      ...(options.headers || {}),
+    };
+    const tokenSource = options.token ?? this.opts.token;
+    const retry = this.resolvePostRetry(options.retry);
+    // 重试时服务端依据同一个 requestId 去重
+    // 离线重放与 ctx.retry() 也会重发同一请求，因此不论是否启用重试都携带
+    if (retry.idempotencyHeader) headers[retry.idempotencyHeader] = requestId;
+
+    const timeoutMs = options.timeout ?? this.opts.defaultTimeout ?? 10_000;
+    const postBody = JSON.stringify({ ...(body || {}), requestId });
+    // 单次发送：超时按每次尝试计算
+    const send = async (refresh) => {
+      const ctrl = new AbortController();
+      const timeout = this.env.setTimeout(() => ctrl.abort(), timeoutMs);
+      try {
+        const token = await this.resolveToken(tokenSource, refresh);
+        return await this.request(postUrl, {
+          method: 'POST',
+          headers: token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers },
+          body: postBody,
+          credentials: options.credentials ?? this.opts.credentials,
+          // 外部 signal 与内部超时同时生效
+          signal: combineSignals([taskSignal, ctrl.signal]),
+        }, requestId);
+      } finally {
+        this.env.clearTimeout(timeout);
+      }
+    };
+    const sendWithAuth = async () => {
+      const first = await send(false);
+      if (!first || first.status !== 401 || typeof tokenSource !== 'function') return first;
+      this.logger.info('POST 返回 401，刷新 token 后重试', { requestId });
+      return send(true);
+    };
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < retry.attempts;
+        let res;
+        try {
+          res = await sendWithAuth();
+        } catch (e) {
+          // 调用方主动取消不重试
+          if (!canRetry || !retry.networkErrors || taskSignal.aborted) throw e;
+          const delay = computeBackoff(retry, attempt);
+          this.logger.warn('POST 失败，准备重试', { requestId, attempt: attempt + 1, delay, error: e });
+          await this.sleep(delay, taskSignal);
+          continue;
+        }
+        if (res && !res.ok && canRetry && retry.retryOn.includes(res.status)) {
+          const delay = parseRetryAfter(res, this.env.now()) ?? computeBackoff(retry, attempt);
+          this.logger.warn('POST 返回可重试状态，准备重试', { requestId, status: res.status, attempt: attempt + 1, delay });
+          await this.sleep(delay, taskSignal);
+          continue;
+        }
+        return res;
+      }
+    } finally {
+      if (this.inflight.get(requestId) === task) {
+        this.inflight.delete(requestId);
+        this.releaseSignal(requestId);
+      }
+    }
+  }
+
+  /**
+   * 离线队列中的请求（按重放顺序）
+   * @returns {Array<{ requestId: string, postUrl: string, createdAt: number }>}
+   */
+  getOutbox() {
+    if (!this.outbox) return [];
+    return this.outbox.entries.map(({ requestId, postUrl, createdAt }) => ({ requestId, postUrl, createdAt }));
+  }
+
+  /**
+   * 发起 POST，并以异步迭代器的形式逐条产出该请求的 SSE 消息。
+   * 收到 done 后结束（done 消息本身会被产出）；收到 error 时抛出异常；任务被取消时直接结束；
+   * 消费方提前 break/return 时自动释放监听。
+   * @param {string} postUrl
+   * @param {any} body
+   * @param {(PostOptions & ListenOptions & { requestId?: string })=} options
+   * @returns {AsyncGenerator<EventMessage<Events>, void, void>}
+   */
+  async *stream(postUrl, body, options = {}) {
+    const queue = [];
+    let wake;
+    const onEvent = (msg) => {
+      queue.push(msg);
+      if (wake) {
+        wake();
+        wake = undefined;
+      }
+    };
+
+    const { requestId, unsubscribe, response } = await this.postAndListen(postUrl, body, onEvent, options);
+    try {
+      if (!response || !response.ok) {
+        const status = response ? `${response.status} ${response.statusText}` : 'no response';
+        const err = new Error(`POST failed: ${status}`);
+        err.requestId = requestId;
+        err.response = response;
+        throw err;
+      }
+      for (;;) {
+        while (queue.length > 0) {
+          const msg = queue.shift();
+          if (msg.event === 'error') {
+            const err = new Error(msg.message || 'SSE stream error');
+            err.requestId = requestId;
+            err.code = msg.code;
+            err.detail = msg;
+            throw err;
+          }
+          // 本地取消（cancel()/signal）：直接结束迭代
+          if (msg.event === 'cancelled') return;
+          yield msg;
+          if (msg.event === 'done') return;
+        }
+        await new Promise(resolve => { wake = resolve; });
+      }
+    } finally {
+      unsubscribe();
+    }
+  }
+
+  /**
+   * 仅注册某个 requestId 的监听，不发起 POST。
+   * 适用于 requestId 由服务端分配、或其它组件在任务开始后再接入的场景；
+   * 注册前已到达的该 requestId 消息（见 unroutedBufferSize/unroutedBufferTTL）会按顺序立即补发。
+   * @param {string} requestId
+   * @param {(msg:EventMessage<Events>)=>void} onEvent
+   * @param {ListenOptions=} options
+   * @returns {ListenerHandle}
+   */
+  listen(requestId, onEvent, options = {}) {
+    if (!requestId) throw new Error('listen(requestId, cb) requires a requestId');
+    if (typeof onEvent !== 'function') throw new Error('listen(requestId, cb) requires a function');
+    if (options.signal && options.signal.aborted) throw abortReason(options.signal);
+    this.addListener(requestId, onEvent, options);
+    this.bindAbortSignal(requestId, options.signal);
+    this.maybeConnect('listen');
+    return {
+      requestId,
+      unsubscribe: () => {
+        if (this.listeners.get(requestId)?.cb !== onEvent) return;
+        this.metrics.requestAbandoned(requestId);
+        this.removeListener(requestId);
+        this.checkIdle();
+      },
+    };
+  }
+
+  /**
+   * 注册中间件：onRequest 可改写 POST 的 url/init，onResponse 可检查、替换或重试响应，
+   * onMessage 可在路由前变换或拦截消息；按注册顺序执行
+   * @param {import('./middleware.js').SSEMiddleware} middleware
+   * @returns {() => void} 移除该中间件
+   */
+  use(middleware) {
+    return this.middleware.add(middleware);
+  }
+
+  /**
+   * 取消一个任务：中止发送中的 POST，向回调派发本地 cancelled 事件并移除监听，
+   * 再调用 cancelUrl 通知服务端停止生成（未配置 cancelUrl 时只在本地取消）
+   * @param {string} requestId
+   * @param {string=} reason 写入 cancelled 事件的 reason，默认 "cancelled"
+   * @returns {Promise<Response|undefined>} 取消请求的响应；未配置 cancelUrl 时为 undefined
+   */
+  async cancel(requestId, reason = 'cancelled') {
+    if (!requestId) throw new Error('cancel(requestId) requires a requestId');
+    const cancelError = new DOMException(`Request ${requestId} cancelled`, 'AbortError');
+    const task = this.inflight.get(requestId);
+    if (task) {
+      this.inflight.delete(requestId);
+      task.abort(cancelError);
+    }
+    if (this.outbox) this.outbox.remove(requestId, cancelError);
+    const l = this.listeners.get(requestId);
+    if (l) {
+      this.metrics.requestEnded(requestId, 'cancelled');
+      this.deliver(requestId, l, { requestId, event: 'cancelled', reason });
+    } else {
+      this.metrics.requestAbandoned(requestId);
+      this.releaseSignal(requestId);
+    }
+    this.logger.info('取消请求', { requestId, reason });
+
+    const cancelUrl = typeof this.opts.cancelUrl === 'function' ? this.opts.cancelUrl(requestId) : this.opts.cancelUrl;
+    if (!cancelUrl) return undefined;
+    const headers = { 'Content-Type': 'application/json', ...(this.opts.defaultHeaders || {}) };
+    const token = await this.resolveToken(this.opts.token);
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    const ctrl = new AbortController();
+    const timeout = this.env.setTimeout(() => ctrl.abort(), this.opts.defaultTimeout ?? 10_000);
+    try {
+      return await this.request(cancelUrl, {
+        method: this.opts.cancelMethod || 'POST',
+        headers,
+        body: JSON.stringify({ requestId }),
+        credentials: this.opts.credentials,
+        signal: ctrl.signal,
+      }, requestId);
+    } finally {
+      this.env.clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * 外部 signal 取消时取消整个任务（任务已结束则忽略）
+   * @param {string} requestId
+   * @param {AbortSignal=} signal
+   */
+  bindAbortSignal(requestId, signal) {
+    if (!signal) return;
+    const l = this.listeners.get(requestId);
+    // 同一 requestId 重新注册时替换旧绑定
+    const previous = this.signalBindings.get(requestId);
+    if (previous) previous.off.abort();
+    const off = new AbortController();
+    this.signalBindings.set(requestId, { l, off });
+    signal.addEventListener('abort', () => {
+      this.signalBindings.delete(requestId);
+      if (this.listeners.get(requestId) !== l && !this.inflight.has(requestId)) return;
+      this.cancel(requestId, 'aborted').catch(e => this.logger.warn('通知服务端取消失败', { requestId, error: e }));
+    }, { once: true, signal: off.signal });
+  }
+
+  /**
+   * 请求结束（监听已移除且 POST 不在发送中）时解除 AbortSignal 绑定，
+   * 避免长期复用的 signal（如每个组件一个）为每个已结束的请求保留回调
+   * @param {string} requestId
+   */
+  releaseSignal(requestId) {
+    const binding = this.signalBindings.get(requestId);
+    if (!binding || this.listeners.get(requestId) === binding.l || this.inflight.has(requestId)) return;
+    this.signalBindings.delete(requestId);
+    binding.off.abort();
+  }
+
+  /**
+   * 移除 requestId 监听；请求随之结束时解除 AbortSignal 绑定
+   * @param {string} requestId
+   */
+  removeListener(requestId) {
+    this.listeners.delete(requestId);
+    this.releaseSignal(requestId);
+  }
+
+  /**
+   * 合并 POST 重试策略：单次 options.retry > 全局 postRetry > 默认值
+   * @param {(number|false|Partial<PostRetryPolicy>)=} override 数字表示重试次数，false 表示不重试
+   * @returns {PostRetryPolicy}
+   */
+  resolvePostRetry(override) {
+    const base = { ...DEFAULT_POST_RETRY, ...(this.opts.postRetry || {}) };
+    if (override === false) return { ...base, attempts: 0 };
+    if (typeof override === 'number') return { ...base, attempts: override };
+    return { ...base, ...(override || {}) };
+  }
+
+  /**
+   * 等待 ms 毫秒；signal 取消时立即以 AbortError reject
+   * @param {number} ms
+   * @param {AbortSignal=} signal
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+      const onAbort = () => {
+        this.env.clearTimeout(timer);
+        reject(abortReason(signal));
+      };
+      const timer = this.env.setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * 解析 token：字符串原样返回，提供函数则调用（可异步）
+   * @param {(string|TokenProvider)=} source
+   * @param {boolean=} refresh 是否要求提供函数刷新（收到 401 后）
+   * @returns {Promise<string|undefined>}
+   */
+  async resolveToken(source, refresh = false) {
+    if (typeof source !== 'function') return source;
+    return source({ refresh });
+  }
+
+  /**
+   * 经过中间件发送 HTTP 请求
+   * @param {string} url
+   * @param {RequestInit & { headers: Record<string,string> }} init
+   * @param {string=} requestId
+   * @returns {Promise<Response>}
+   */
+  async request(url, init, requestId) {
+    /** @type {import('./middleware.js').RequestContext} */
+    const ctx = { url, init, requestId, attempt: 0, retry: undefined };
+    ctx.retry = () => {
+      ctx.attempt += 1;
+      this.logger.debug('中间件重试请求', { requestId, attempt: ctx.attempt });
+      return this.env.fetch(ctx.url, ctx.init);
+    };
+    await this.middleware.runRequest(ctx);
+    const res = await this.env.fetch(ctx.url, ctx.init);
+    return this.middleware.runResponse(res, ctx);
+  }
+
+  /**
+   * 声明某个 event 的 payload 校验规则；dispatch() 路由前校验，未通过的消息被丢弃并交给 onInvalidMessage
+   * 重复声明同名事件会替换原规则，validator 传 null 移除。返回当前实例以便链式声明，事件表类型随之累积：
+   * `new SSEClient(opts).defineEvent('progress', isProgress)` 的回调中 `msg.event === 'progress'` 可收窄 payload
+   * @template {string} N
+   * @template [T=any] 未能从类型守卫推导时为 any
+   * @param {N} name
+   * @param {import('./schema.js').EventValidator<T>|null} validator 判断函数（可写成类型守卫）或 JSON Schema 风格的描述对象
+   * @returns {SSEClient<Events & Record<N, T>>}
+   */
+  defineEvent(name, validator) {
+    if (!name || typeof name !== 'string') throw new Error('defineEvent(name, validator) requires an event name');
+    if (validator == null) this.eventValidators.delete(name);
+    else this.eventValidators.set(name, compileValidator(validator));
+    return /** @type {any} */ (this);
+  }
+
+  /**
+   * 按 defineEvent() 声明的规则校验消息；未声明的事件直接通过
+   * @param {SSEMessage<any>} msg
+   * @returns {boolean} false 表示未通过（已丢弃并通知 onInvalidMessage）
+   */
+  validateMessage(msg) {
+    const validate = this.eventValidators.get(msg.event);
+    if (!validate) return true;
+    const errors = validate(msg.payload, msg);
+    if (errors.length === 0) return true;
+    this.metrics.drop('invalid');
+    this.record({ kind: 'route', requestId: msg.requestId, event: msg.event, decision: 'dropped', reason: 'invalid' });
+    const err = new Error(`Invalid "${msg.event}" message: ${errors.join('; ')}`);
+    err.code = 'INVALID_MESSAGE';
+    err.event = msg.event;
+    err.errors = errors;
+    const hook = this.opts.onInvalidMessage;
+    if (typeof hook !== 'function') {
+      this.logger.warn('消息未通过校验，已丢弃', { requestId: msg.requestId, event: msg.event, errors });
+      return false;
+    }
+    try {
+      hook(err, msg);
+    } catch (hookErr) {
+      this.logger.warn('onInvalidMessage 回调执行失败', { error: hookErr });
+    }
+    return false;
+  }
+
   /**
    * 订阅“无 requestId”的全局广播
-   * @param {(evt:SSEMessage<any>)=>void} cb
+   * @param {(evt:EventMessage<Events>)=>void} cb
    * @returns {() => void} unsubscribe
    */
   onBroadcast(cb) {
@@ -203,26 +926,70 @@ export class SSEClient {
     };
   }
 
+  /**
+   * 订阅生命周期事件：statechange | open | close | reconnecting | error | heartbeat-timeout
+   * @template {keyof SSELifecycleEvents} K
+   * @param {K} type
+   * @param {(payload:SSELifecycleEvents[K])=>void} handler
+   * @returns {() => void} unsubscribe
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * 取消订阅生命周期事件
+   * @template {keyof SSELifecycleEvents} K
+   * @param {K} type
+   * @param {(payload:SSELifecycleEvents[K])=>void} handler
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * 订阅主题：只接收"无 requestId"且主题字段（topicField）匹配的消息
+   * 支持精确匹配与通配：`*` 匹配一段，`**` 匹配任意多段，如 "orders.*"
+   * @param {string} topic
+   * @param {(evt:EventMessage<Events>)=>void} cb
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(topic, cb) {
+    if (!topic || typeof topic !== 'string') throw new Error('subscribe(topic, cb) requires a topic string');
+    if (typeof cb !== 'function') throw new Error('subscribe(topic, cb) requires a function');
+    const remove = this.topics.add(topic, cb);
+    this.maybeConnect('subscribe');
+    return () => {
+      remove();
+      this.checkIdle();
+    };
+  }
+
   /** 主动关闭 SSE 连接 */
   close(reason = 'manual') {
+    const hadConnection = !!this.es;
     if (this.es) {
-      console.log(`[vsse] 关闭连接 (reason: ${reason})`);
+      this.logger.info('关闭连接', { reason });
       this.es.close();
       this.es = undefined;
     }
     if (this.heartbeatIntervalId) {
-      clearInterval(this.heartbeatIntervalId);
+      this.env.clearInterval(this.heartbeatIntervalId);
       this.heartbeatIntervalId = undefined;
     }
     this.clearIdleTimer();
     // ✅ 重置状态
-    this.connectionState = 'disconnected';
+    this.setState('disconnected', reason);
     this._connectLock = false;
+    this._connectSeq++; // 作废正在解析 token 的连接
+
+    if (hadConnection) this.emit('close', { reason });
   }
 
   /** 强制重连 */
   reconnect(reason = 'manual') {
-    console.log(`[vsse] 执行重连 (reason: ${reason})`);
+    this.logger.info('执行重连', { reason });
+    this.metrics.reconnect(reason);
     this.close(reason);
     this.backoffState.attempts = 0;
     this.maybeConnect('reconnect');
@@ -234,19 +1001,98 @@ export class SSEClient {
    * @returns {boolean} 是否成功发起连接
    */
   connect() {
+    if (this.isTabFollower()) {
+      // follower 不持有连接，交由 leader 建立
+      this.tabShare.reportDemand({ connect: true });
+      return !!this.opts.url;
+    }
     if (this.es) {
-      console.log('[vsse] connect() 被调用但连接已存在');
+      this.logger.debug('connect() 被调用但连接已存在');
       return true; // 已连接
     }
     if (!this.opts.url) {
-      console.warn('[vsse] connect() 失败: url 未配置');
+      this.logger.warn('connect() 失败: url 未配置');
       return false;
     }
-    console.log('[vsse] 手动调用 connect()');
+    this.logger.info('手动调用 connect()');
     this.forceConnect('manual connect');
     return true;
   }
 
+  /**
+   * 获取指标快照：请求延迟分位数、重连次数（按原因）、心跳超时、消息速率、丢弃/暂存计数
+   * @returns {import('./metrics.js').SSEMetricsSnapshot}
+   */
+  getMetrics() {
+    return this.metrics.snapshot(this.unrouted.length);
+  }
+
+  /** 清零全部指标 */
+  resetMetrics() {
+    this.metrics.reset();
+  }
+
+  /** 按 metricsInterval 定期把指标快照交给 onMetrics */
+  startMetricsReporter() {
+    const interval = this.opts.metricsInterval;
+    if (!(interval > 0) || typeof this.opts.onMetrics !== 'function') return;
+    this._metricsTimer = this.env.setInterval(() => {
+      try {
+        this.opts.onMetrics(this.getMetrics());
+      } catch (e) {
+        this.logger.warn('onMetrics 回调执行失败', { error: e });
+      }
+    }, interval);
+  }
+
+  /**
+   * 写入一条录制记录（未开启 record 时忽略）
+   * @param {Omit<import('./recorder.js').RecordEntry,'t'>} entry
+   */
+  record(entry) {
+    if (this.recorder) this.recorder.record(entry);
+  }
+
+  /**
+   * 获取当前录制内容；未开启 record 时返回 undefined
+   * @returns {import('./recorder.js').Recording|undefined}
+   */
+  getRecording() {
+    return this.recorder ? this.recorder.toJSON({ url: this.opts.url }) : undefined;
+  }
+
+  /**
+   * 导出录制内容为 JSON 字符串；未开启 record 时返回 undefined
+   * @returns {string|undefined}
+   */
+  exportRecording() {
+    const recording = this.getRecording();
+    return recording ? JSON.stringify(recording) : undefined;
+  }
+
+  /**
+   * 回放录制：把其中的 message 记录依次送入 dispatch()（不经过连接与中间件）
+   * 回放前先注册要观察的监听；尚无监听的 requestId 消息会进入暂存缓冲，稍后 listen() 时补发
+   * @param {string|import('./recorder.js').Recording} recording exportRecording() 的结果或其对象形式
+   * @param {{ realtime?: boolean, speed?: number }=} options realtime：按原始时间间隔回放（speed 倍速），默认立即回放
+   * @returns {Promise<number>} 回放的消息条数
+   */
+  async replay(recording, options = {}) {
+    const { entries } = parseRecording(recording);
+    const messages = entries.filter(e => e.kind === 'message' && e.msg);
+    const speed = options.speed > 0 ? options.speed : 1;
+    let prevAt;
+    for (const entry of messages) {
+      if (options.realtime && prevAt !== undefined && entry.t > prevAt) {
+        await this.sleep((entry.t - prevAt) / speed);
+      }
+      prevAt = entry.t;
+      this.dispatch(entry.msg);
+    }
+    this.logger.info('录制回放完成', { messages: messages.length });
+    return messages.length;
+  }
+
   /**
    * 获取连接状态和诊断信息（用于调试）
    * @returns {Object} 连接状态信息
@@ -258,10 +1104,17 @@ export class SSEClient {
       isLocked: this._connectLock,
       connectAttempts: this._connectAttempts,
       lastConnectAttempt: this._lastConnectAttempt,
-      timeSinceLastAttempt: Date.now() - this._lastConnectAttempt,
+      timeSinceLastAttempt: this.env.now() - this._lastConnectAttempt,
       listenersCount: this.listeners.size,
       globalListenersCount: this.globalListeners.size,
+      topics: this.topics.patterns(),
+      unroutedCount: this.unrouted.length,
+      outboxSize: this.outbox ? this.outbox.size : 0,
       url: this.opts.url,
+      transport: this.opts.transport,
+      httpStatus: this.lastHttpStatus,
+      tabRole: this.tabShare ? this.tabShare.role : undefined,
+      lastEventId: this.lastEventId,
       lastMessageAt: this.lastMessageAt,
       lastHeartbeatAt: this.lastHeartbeatAt,
     };
@@ -271,228 +1124,859 @@ export class SSEClient {
   setupActivityListeners() {
     // 绑定并保存引用，以便 destroy() 时移除
     this._boundBump = () => {
-      this.lastActiveAt = Date.now();
+      this.lastActiveAt = this.env.now();
       this.checkIdle();
-      const hasAnyListener = this.listeners.size > 0 || this.globalListeners.size > 0;
-      if (!this.es && hasAnyListener) this.maybeConnect('activity');
+      if (!this.es && this.hasAnyListener()) this.maybeConnect('activity');
     };
-    this._activityEvents = ['click','keydown','mousemove','scroll','touchstart','visibilitychange'];
-    this._activityEvents.forEach(evt =>
-      window.addEventListener(evt, this._boundBump, { passive: true })
-    );
+    this._offActivity = this.env.onActivity(this._boundBump);
 
-    this._onOnline = () => this.reconnect('online');
+    this._onOnline = () => {
+      this.reconnect('online');
+      if (this.outbox) this.outbox.flush();
+    };
     this._onOffline = () => this.close('offline');
-    window.addEventListener('online', this._onOnline);
-    window.addEventListener('offline', this._onOffline);
+    this._offNetwork = this.env.onNetworkChange({ online: this._onOnline, offline: this._onOffline });
+    this._offVisibility = this.env.onVisibilityChange((hidden) => this.onVisibilityChange(hidden));
   }
 
   /** 销毁实例，移除全局事件监听并清理定时器 */
   destroy() {
     this.close('destroy');
-    if (this._activityEvents && this._boundBump) {
-      this._activityEvents.forEach(evt => window.removeEventListener(evt, this._boundBump));
+    if (this.outbox) {
+      this.outbox.dispose(new Error('SSEClient destroyed'));
+      this.outbox = undefined;
     }
-    if (this._onOnline) window.removeEventListener('online', this._onOnline);
-    if (this._onOffline) window.removeEventListener('offline', this._onOffline);
+    if (this.tabShare) {
+      this.tabShare.destroy();
+      this.tabShare = undefined;
+    }
+    for (const { off } of this.signalBindings.values()) off.abort();
+    this.signalBindings.clear();
+    this.events.clear();
+    this.unrouted = [];
+    if (this._offActivity) this._offActivity();
+    if (this._offNetwork) this._offNetwork();
+    if (this._offVisibility) this._offVisibility();
+    if (this._metricsTimer) {
+      this.env.clearInterval(this._metricsTimer);
+      this._metricsTimer = undefined;
+    }
+    this.clearHiddenTimer();
     // 清理全局监听，防止内存泄漏
     if (this.globalListeners) this.globalListeners.clear();
+    this.topics.clear();
+    if (this._sweepTimer) {
+      this.env.clearTimeout(this._sweepTimer);
+      this._sweepTimer = undefined;
+    }
+    if (this._reconnectTimer) {
+      this.env.clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = undefined;
+    }
+  }
+
+  /** 本地监听总数：请求监听 + 广播监听 + 主题订阅 */
+  localListenerCount() {
+    return this.listeners.size + this.globalListeners.size + this.topics.size;
+  }
+
+  /** 是否存在任意监听（本地请求/广播/主题监听，或 leader 收到的其它标签页上报） */
+  hasAnyListener() {
+    if (this.localListenerCount() > 0) return true;
+    return !!(this.tabShare && this.tabShare.isLeader && this.tabShare.remoteDemandCount() > 0);
+  }
+
+  /** 跨标签页共享模式下，当前实例是否为 follower（不持有连接） */
+  isTabFollower() {
+    return !!(this.tabShare && !this.tabShare.isLeader);
+  }
+
+  /**
+   * 跨标签页角色变化回调（由 TabCoordinator 调用）
+   * @param {'leader'|'follower'} role
+   */
+  onTabRoleChange(role) {
+    if (role === 'follower') {
+      this.close('tab follower');
+      return;
+    }
+    // follower 期间的状态镜像自旧 leader（可能停在 connecting）；本页尚无连接，先复位，否则 maybeConnect 会被拦下
+    if (!this.es) this.setState('disconnected', 'tab leader');
+    if (this.hasAnyListener()) this.forceConnect('tab leader');
   }
 
   maybeConnect(reason = 'unknown') {
+    // 跨标签页共享：follower 只上报监听数量，由 leader 建立连接
+    if (this.isTabFollower()) {
+      this.tabShare.reportDemand();
+      return;
+    }
+
     // ✅ 防重复保护 1: 已有连接直接返回
     if (this.es) {
       if (reason !== 'activity' && reason !== 'post' && reason !== 'onBroadcast') {
-        console.warn(`[vsse] 连接已存在，忽略重复连接请求 (reason: ${reason})`);
+        this.logger.debug('连接已存在，忽略重复连接请求', { reason });
       }
       return;
     }
 
     // ✅ 防重复保护 2: 连接中状态检查
     if (this.connectionState === 'connecting' || this._connectLock) {
-      console.warn(`[vsse] 连接正在建立中，忽略重复连接请求 (reason: ${reason}, state: ${this.connectionState})`);
+      this.logger.debug('连接正在建立中，忽略重复连接请求', { reason });
       return;
     }
 
     // ✅ 防重复保护 3: 防抖 - 检查最小连接间隔
-    const now = Date.now();
+    const now = this.env.now();
     const timeSinceLastAttempt = now - this._lastConnectAttempt;
     if (timeSinceLastAttempt < this._minConnectInterval) {
-      console.warn(`[vsse] 连接请求过于频繁，忽略 (距上次 ${timeSinceLastAttempt}ms < ${this._minConnectInterval}ms, reason: ${reason})`);
+      this.logger.debug('连接请求过于频繁，忽略', { reason, sinceLastAttempt: timeSinceLastAttempt, minInterval: this._minConnectInterval });
       return;
     }
 
-    const hasAnyListener = this.listeners.size > 0 || this.globalListeners.size > 0;
-    if (!hasAnyListener) return; // 懒连接：仅当存在任意监听时才连接
+    if (!this.hasAnyListener()) return; // 懒连接：仅当存在任意监听时才连接
+
+    // 后台标签页暂停期间：只有新的请求监听才恢复连接
+    if (this._hiddenSuspended && this.env.isHidden() && !this.needsConnectionWhileHidden()) {
+      this.logger.debug('标签页处于后台，暂不连接', { reason });
+      return;
+    }
 
     this._lastConnectAttempt = now;
     this._connectAttempts++;
     this.forceConnect(reason);
   }
 
+  /**
+   * 建立连接失败：释放锁、派发 error 并安排退避重连
+   * @param {string} reason 本次连接的触发原因
+   * @param {string} failReason 失败原因（ctor failed/token failed）
+   * @param {any} error
+   */
+  failConnect(reason, failReason, error) {
+    this.logger.error(failReason === 'token failed' ? '获取 token 失败' : '创建 EventSource 失败', { reason, error });
+    this.setState('error', failReason);
+    this._connectLock = false; // ✅ 释放锁
+    this.emit('error', { reason: failReason, error });
+    this.scheduleReconnect(failReason);
+  }
+
   /** 强制建立连接，跳过监听器检查 */
   forceConnect(reason) {
+    if (this.isTabFollower()) return;
+
     // ✅ 双重检查：防止并发调用
     if (this.es) {
-      console.warn(`[vsse] forceConnect 被调用但连接已存在 (reason: ${reason})`);
+      this.logger.debug('forceConnect 被调用但连接已存在', { reason });
       return;
     }
 
     // ✅ 连接锁：防止并发
     if (this._connectLock) {
-      console.warn(`[vsse] 连接锁已占用，忽略 forceConnect (reason: ${reason})`);
+      this.logger.debug('连接锁已占用，忽略 forceConnect', { reason });
       return;
     }
 
     const url = this.opts.url;
     if (!url) {
-      console.error('[vsse] 无法建立连接：url 未配置');
+      this.logger.error('无法建立连接：url 未配置', { reason });
       return;
     }
 
     // ✅ 占用连接锁
     this._connectLock = true;
-    this.connectionState = 'connecting';
+    this.setState('connecting', reason);
+    this._connLastEventId = '';
+
+    this.logger.info('开始建立连接', { reason, attempts: this._connectAttempts });
 
-    console.log(`[vsse] 开始建立连接 (reason: ${reason}, attempts: ${this._connectAttempts})`);
+    // token 提供函数：先异步解析再建立连接；期间被 close() 打断则放弃
+    const tokenSource = this.opts.token;
+    if (typeof tokenSource === 'function') {
+      const seq = ++this._connectSeq;
+      const refresh = this._refreshTokenOnConnect;
+      this._refreshTokenOnConnect = false;
+      const stale = () => seq !== this._connectSeq || !this._connectLock || !!this.es;
+      this.resolveToken(tokenSource, refresh).then(
+        (token) => { if (!stale()) this.openStream(reason, token); },
+        (e) => { if (!stale()) this.failConnect(reason, 'token failed', e); },
+      );
+      return;
+    }
+    this.openStream(reason, tokenSource);
+  }
 
+  /**
+   * 创建 EventSource/FetchEventSource 并绑定事件（由 forceConnect 在持有连接锁时调用）
+   * @param {string} reason
+   * @param {string=} token
+   */
+  openStream(reason, token) {
+    const url = this.opts.url;
     try {
       // 构建 EventSourcePolyfill 配置选项
       const config = {
         withCredentials: this.opts.sseWithCredentials === true,
       };
 
+      // 断线续传：携带最后一个事件 id
+      const resumeId = this.lastEventId;
+      const resumeMode = this.opts.resumeMode || 'header';
+      let connectUrl = url;
+      if (resumeId && resumeMode === 'query') {
+        connectUrl = appendQueryParam(url, this.opts.lastEventIdParam || 'lastEventId', resumeId);
+      }
+
       // 如果有自定义请求头或认证 token，添加到配置中
-      if (this.opts.sseHeaders || this.opts.token) {
+      if (this.opts.sseHeaders || token || (resumeId && resumeMode === 'header')) {
         config.headers = {
           ...(this.opts.sseHeaders || {}),
         };
 
         // 如果设置了全局 token，自动添加 Authorization 头
-        if (this.opts.token) {
-          config.headers['Authorization'] = `Bearer ${this.opts.token}`;
+        if (token) {
+          config.headers['Authorization'] = `Bearer ${token}`;
+        }
+        if (resumeId && resumeMode === 'header') {
+          config.headers['Last-Event-ID'] = resumeId;
         }
       }
 
-      // 使用 EventSourcePolyfill 支持自定义请求头
-      this.es = new EventSourcePolyfill(url, config);
+      if (this.opts.transport === 'fetch') {
+        // fetch + ReadableStream：支持任意方法/请求体，可拿到状态码、注释行与 retry
+        this.es = new FetchEventSource(connectUrl, {
+          ...config,
+          method: this.opts.sseMethod,
+          body: this.opts.sseBody,
+          fetch: this.env.fetch,
+        });
+      } else {
+        // 默认使用 EventSourcePolyfill 支持自定义请求头（见 env.js）
+        this.es = new this.env.EventSource(connectUrl, config);
+      }
     } catch (e) {
-      console.error(`[vsse] 创建 EventSource 失败 (reason: ${reason}):`, e);
-      this.connectionState = 'error';
-      this._connectLock = false; // ✅ 释放锁
-      this.scheduleReconnect('ctor failed');
+      this.failConnect(reason, 'ctor failed', e);
       return;
     }
 
-    this.es.addEventListener('open', () => {
-      console.log('[vsse] 连接已建立 ✓');
-      this.connectionState = 'connected';
+    this.es.addEventListener('open', (ev) => {
+      this.logger.info('连接已建立 ✓', { httpStatus: ev && ev.status });
+      if (ev && typeof ev.status === 'number') this.lastHttpStatus = ev.status;
+      this.setState('connected', reason);
       this._connectLock = false; // ✅ 释放锁
       this.backoffState.attempts = 0;
-      this.lastMessageAt = Date.now();
-      this.lastHeartbeatAt = Date.now();
+      this._authRetried = false;
+      this.metrics.opens += 1;
+      this.emit('open', { httpStatus: this.lastHttpStatus });
+      // 重连成功：服务端的主题订阅通常随连接失效，重新声明
+      if (this._hasOpened) this.topics.patterns().forEach(topic => this.callTopicHook('onTopicSubscribe', topic));
+      this._hasOpened = true;
+      this.lastMessageAt = this.env.now();
+      this.lastHeartbeatAt = this.env.now();
+      if (this._interrupted) {
+        this._interrupted = false;
+        this.notifyPending('resumed', { resumed: !!this.lastEventId });
+      }
       this.checkIdle();
     });
 
-    const onMessage = (ev) => {
-      this.lastMessageAt = Date.now();
-      try {
-        /** @type {SSEMessage} */
-        const parsed = JSON.parse(ev.data);
-        const data = parsed && typeof parsed === 'object' ? parsed : {};
-        const evtName = (data.event || ev.type || 'message');
+    /**
+     * @param {MessageEvent} ev
+     * @param {string=} mappedEvent eventName 映射表中为该 SSE 类型指定的逻辑 event
+     */
+    const onMessage = (ev, mappedEvent) => {
+      this.lastMessageAt = this.env.now();
+      this.record({ kind: 'frame', type: ev.type, data: ev.data, lastEventId: ev.lastEventId || undefined });
+      if (this.isReplayedEvent(ev)) {
+        this.checkHeartbeat();
+        return;
+      }
+      for (const data of this.decodeFrame(ev)) {
+        // 优先级：消息体中的 event > eventName 映射 > SSE 事件类型
+        const evtName = (data.event || mappedEvent || ev.type || 'message');
         if (evtName === 'ping') {
-          this.lastHeartbeatAt = Date.now();
+          this.lastHeartbeatAt = this.env.now();
         }
-        this.dispatch({ ...data, event: evtName });
-      } catch {
-        // 非 JSON 或注释 keep-alive 忽略
+        this.routeMessage({ ...data, event: evtName });
       }
       this.checkHeartbeat();
     };
 
-    this.es.addEventListener(this.opts.eventName || 'message', onMessage);
+    for (const [type, mapped] of resolveEventTypes(this.opts.eventName)) {
+      this.es.addEventListener(type, (ev) => onMessage(ev, mapped));
+    }
+
+    // 以下两个事件仅 fetch 传输会派发：注释行视为保活，retry 字段覆盖重连基准间隔
+    this.es.addEventListener('comment', () => {
+      this.lastMessageAt = this.env.now();
+    });
+    this.es.addEventListener('retry', (ev) => {
+      this.serverRetryMs = ev.retry;
+    });
 
-    this.es.addEventListener('error', () => {
-      console.warn('[vsse] 连接错误，准备重连');
-      this.connectionState = 'error';
+    this.es.addEventListener('error', (ev) => {
+      if (ev && typeof ev.status === 'number') this.lastHttpStatus = ev.status;
+      // 握手 401 且 token 为提供函数：刷新后立即重试一次，不走退避
+      const refreshAuth = !!(ev && ev.status === 401) && typeof this.opts.token === 'function' && !this._authRetried;
+      this.logger.warn('连接错误，准备重连', { httpStatus: this.lastHttpStatus });
+      this.setState('error', 'sse error');
       this._connectLock = false; // ✅ 释放锁
+      this.emit('error', { reason: 'sse error', httpStatus: this.lastHttpStatus, error: ev && ev.error });
       this.close('sse error');
+      if (!this._interrupted) {
+        this._interrupted = true;
+        this.notifyPending('reconnecting');
+      }
+      if (refreshAuth) {
+        this._authRetried = true;
+        this._refreshTokenOnConnect = true;
+        this.logger.info('握手返回 401，刷新 token 后重试');
+        this.forceConnect('token refresh');
+        return;
+      }
       this.scheduleReconnect('sse error');
     });
 
     // 定期心跳检查（防重复）
     if (this.heartbeatIntervalId) {
-      clearInterval(this.heartbeatIntervalId);
+      this.env.clearInterval(this.heartbeatIntervalId);
       this.heartbeatIntervalId = undefined;
     }
-    this.heartbeatIntervalId = window.setInterval(() => this.checkHeartbeat(), 5_000);
+    this.heartbeatIntervalId = this.env.setInterval(() => this.checkHeartbeat(), 5_000);
+  }
+
+  /**
+   * 从连接收到的消息入口：跨标签页共享时先转发给 follower，再在本地路由
+   * @param {SSEMessage<any>} msg
+   */
+  routeMessage(msg) {
+    if (this.tabShare) this.tabShare.relay(msg);
+    this.acceptMessage(msg);
+  }
+
+  /**
+   * 经过消息中间件后路由；中间件拦截或抛错时丢弃该消息
+   * 说明：跨标签页转发的是原始消息，每个标签页各自执行自己的中间件
+   * @param {SSEMessage<any>} msg
+   */
+  acceptMessage(msg) {
+    this.metrics.messageReceived();
+    let out = msg;
+    if (this.middleware.size > 0) {
+      try {
+        out = this.middleware.runMessage(msg);
+      } catch (e) {
+        this.metrics.drop('vetoed');
+        this.record({ kind: 'route', requestId: msg.requestId, event: msg.event, decision: 'dropped', reason: 'vetoed' });
+        this.logger.warn('消息中间件执行失败，已丢弃消息', { requestId: msg.requestId, event: msg.event, error: e });
+        return;
+      }
+      if (!out) {
+        this.metrics.drop('vetoed');
+        this.record({ kind: 'route', requestId: msg.requestId, event: msg.event, decision: 'dropped', reason: 'vetoed' });
+        this.logger.debug('消息被中间件拦截', { requestId: msg.requestId, event: msg.event });
+        return;
+      }
+    }
+    this.record({ kind: 'message', msg: out });
+    this.dispatch(out);
   }
 
   /**
    * @param {SSEMessage<any>} msg
    */
   dispatch(msg) {
+    if (!this.validateMessage(msg)) return;
     const { requestId, event } = msg;
     if (requestId && this.listeners.has(requestId)) {
+      this.record({ kind: 'route', requestId, event, decision: 'listener' });
+      // 只统计服务端消息；cancelled/reconnecting/resumed/超时等本地事件不计入延迟
+      this.metrics.requestEvent(requestId, event);
       const l = this.listeners.get(requestId);
-      // 全量透传：不丢弃任何顶层字段
-      try { l.cb(msg); } catch (_) {}
-      if (event === 'done' || event === 'error') {
-        this.listeners.delete(requestId);
-        this.checkIdle();
-      }
+      l.lastEventAt = this.env.now();
+      if (l.order) this.orderMessage(requestId, l, msg);
+      else this.deliver(requestId, l, msg);
     } else if (!requestId) {
+      this.record({ kind: 'route', event, decision: 'broadcast' });
       // 全局广播：无 requestId 的消息按顺序通知所有 onBroadcast 订阅者
       if (this.globalListeners && this.globalListeners.size > 0) {
         this.globalListeners.forEach(cb => {
           try { cb(msg); } catch(_) {}
         });
       }
+      // 主题订阅：按 topicField 匹配
+      const topic = readField(msg, this.opts.topicField || 'topic');
+      if (typeof topic === 'string' && this.topics.size > 0) {
+        this.topics.match(topic).forEach(cb => {
+          try { cb(msg); } catch(_) {}
+        });
+      }
+    } else {
+      // 尚无监听：暂存，等待 listen()/postAndListen() 注册后补发
+      this.record({ kind: 'route', requestId, event, decision: 'buffered' });
+      this.bufferUnrouted(msg);
+    }
+  }
+
+  /**
+   * 记录事件 id，并判断该帧是否为服务端重放的重复事件
+   * 说明：EventSource 对未携带 id 的帧沿用上一个 lastEventId，因此只有"id 发生变化"的帧才视为显式 id
+   * @param {{ lastEventId?: string }} ev
+   * @returns {boolean} true 表示重复，应丢弃
+   */
+  isReplayedEvent(ev) {
+    const id = ev && ev.lastEventId;
+    if (!id || id === this._connLastEventId) return false;
+    this._connLastEventId = id;
+    const windowSize = this.opts.dedupeWindow ?? 500;
+    if (windowSize > 0 && this._seenEventIds.has(id)) {
+      this.metrics.drop('duplicate');
+      this.record({ kind: 'route', decision: 'dropped', reason: 'duplicate', lastEventId: id });
+      this.logger.debug('丢弃重复事件', { eventId: id });
+      return true;
+    }
+    this.lastEventId = id;
+    if (windowSize > 0) {
+      this._seenEventIds.add(id);
+      while (this._seenEventIds.size > windowSize) {
+        this._seenEventIds.delete(this._seenEventIds.values().next().value);
+      }
+    }
+    return false;
+  }
+
+  /** 清空续传状态（切换 url 时调用） */
+  resetResumeState() {
+    this.lastEventId = '';
+    this._connLastEventId = '';
+    this._seenEventIds.clear();
+  }
+
+  /**
+   * 向所有进行中的 postAndListen 回调派发本地生成的连接事件（需开启 notifyReconnect）
+   * @param {'reconnecting'|'resumed'} event
+   * @param {Object=} extra
+   */
+  notifyPending(event, extra = {}) {
+    if (!this.opts.notifyReconnect) return;
+    // 本地事件直接投递：不经过校验、录制与指标
+    for (const [requestId, l] of [...this.listeners]) {
+      this.deliver(requestId, l, { requestId, event, lastEventId: this.lastEventId, ...extra });
+    }
+  }
+
+  /**
+   * 注册 requestId 监听并补发已暂存的消息
+   * @param {string} requestId
+   * @param {Function} onEvent
+   * @param {ListenOptions} options
+   */
+  addListener(requestId, onEvent, options) {
+    if (this.listeners.size >= (this.opts.maxListeners ?? 1000)) {
+      throw new Error(`Too many listeners: ${this.listeners.size}`);
+    }
+    const now = this.env.now();
+    this.listeners.set(requestId, {
+      cb: onEvent,
+      createdAt: now,
+      lastEventAt: now,
+      streamTimeout: options.streamTimeout ?? this.opts.defaultStreamTimeout ?? 0,
+      eventTimeout: options.eventTimeout ?? this.opts.defaultEventTimeout ?? 0,
+      order: options.ordered ? {
+        next: options.seqStart ?? 1,
+        total: undefined,
+        /** @type {Map<number, SSEMessage<any>>} 暂扣的乱序消息 */
+        held: new Map(),
+        /** @type {SSEMessage<any>|undefined} 不带 seq、需等序列补齐后再投递的 done */
+        pendingDone: undefined,
+        window: options.orderWindow ?? 50,
+        timeout: options.orderTimeout ?? 2000,
+        timer: undefined,
+      } : undefined,
+    });
+    this.scheduleSweep();
+    this.flushUnrouted(requestId);
+  }
+
+  /**
+   * 暂存尚无监听的 requestId 消息；超过条数上限时淘汰最早的
+   * @param {SSEMessage<any>} msg
+   */
+  bufferUnrouted(msg) {
+    const maxSize = this.opts.unroutedBufferSize ?? 200;
+    if (maxSize <= 0) return;
+    this.pruneUnrouted();
+    this.unrouted.push({ requestId: msg.requestId, msg, at: this.env.now() });
+    this.metrics.unroutedBuffered += 1;
+    if (this.unrouted.length > maxSize) {
+      this.metrics.drop('unroutedEvicted', this.unrouted.length - maxSize);
+      this.unrouted.splice(0, this.unrouted.length - maxSize);
+    }
+  }
+
+  /** 丢弃超过 TTL 的暂存消息 */
+  pruneUnrouted() {
+    const ttl = this.opts.unroutedBufferTTL ?? 30_000;
+    if (this.unrouted.length === 0 || !(ttl > 0)) return;
+    const cutoff = this.env.now() - ttl;
+    const firstFresh = this.unrouted.findIndex(e => e.at > cutoff);
+    const expired = firstFresh === -1 ? this.unrouted.length : firstFresh;
+    if (expired > 0) this.metrics.drop('unroutedEvicted', expired);
+    if (firstFresh === -1) this.unrouted.length = 0;
+    else if (firstFresh > 0) this.unrouted.splice(0, firstFresh);
+  }
+
+  /**
+   * 把某个 requestId 的暂存消息按到达顺序派发给刚注册的监听
+   * @param {string} requestId
+   */
+  flushUnrouted(requestId) {
+    this.pruneUnrouted();
+    if (this.unrouted.length === 0) return;
+    const pending = this.unrouted.filter(e => e.requestId === requestId);
+    if (pending.length === 0) return;
+    this.unrouted = this.unrouted.filter(e => e.requestId !== requestId);
+    for (const { msg } of pending) {
+      if (!this.listeners.has(requestId)) break;
+      this.dispatch(msg);
+    }
+  }
+
+  /**
+   * 计算监听的过期时间点；两个超时都未设置时返回 Infinity
+   * @param {{ createdAt: number, lastEventAt: number, streamTimeout: number, eventTimeout: number }} l
+   */
+  listenerDeadline(l) {
+    const byStream = l.streamTimeout > 0 ? l.createdAt + l.streamTimeout : Infinity;
+    const byEvent = l.eventTimeout > 0 ? l.lastEventAt + l.eventTimeout : Infinity;
+    return Math.min(byStream, byEvent);
+  }
+
+  /** 按最早的过期时间点安排一次清扫（已有更早的定时器时复用） */
+  scheduleSweep() {
+    let next = Infinity;
+    for (const l of this.listeners.values()) next = Math.min(next, this.listenerDeadline(l));
+    if (next === Infinity) return;
+    if (this._sweepTimer && this._sweepAt <= next) return;
+    if (this._sweepTimer) this.env.clearTimeout(this._sweepTimer);
+    this._sweepAt = next;
+    this._sweepTimer = this.env.setTimeout(() => {
+      this._sweepTimer = undefined;
+      this.sweepListeners();
+    }, Math.max(0, next - this.env.now()));
+  }
+
+  /**
+   * 清扫过期监听：从 listeners 中移除，并向回调派发一条本地 error 事件
+   * code 为 STREAM_TIMEOUT（整体超时）或 EVENT_TIMEOUT（消息间隔超时）
+   */
+  sweepListeners() {
+    const now = this.env.now();
+    const expired = [];
+    for (const [requestId, l] of this.listeners) {
+      if (l.streamTimeout > 0 && now - l.createdAt >= l.streamTimeout) {
+        expired.push([requestId, l, 'STREAM_TIMEOUT', `Stream timed out after ${l.streamTimeout}ms`]);
+      } else if (l.eventTimeout > 0 && now - l.lastEventAt >= l.eventTimeout) {
+        expired.push([requestId, l, 'EVENT_TIMEOUT', `No event received for ${l.eventTimeout}ms`]);
+      }
+    }
+    for (const [requestId, l, code, message] of expired) {
+      this.logger.warn('监听超时，已移除', { requestId, code });
+      this.removeListener(requestId);
+      this.metrics.requestEnded(requestId, 'error');
+      try { l.cb({ requestId, event: 'error', code, message }); } catch (_) {}
+    }
+    if (expired.length > 0) this.checkIdle();
+    this.scheduleSweep();
+  }
+
+  /**
+   * 调用主题订阅钩子；同步异常与 Promise 拒绝都只记录日志
+   * @param {'onTopicSubscribe'|'onTopicUnsubscribe'} name
+   * @param {string} topic
+   */
+  callTopicHook(name, topic) {
+    const hook = this.opts[name];
+    if (typeof hook !== 'function') return;
+    const onError = (e) => this.logger.warn('主题订阅钩子执行失败', { hook: name, topic, error: e });
+    try {
+      const result = hook(topic);
+      if (result && typeof result.then === 'function') result.then(undefined, onError);
+    } catch (e) {
+      onError(e);
+    }
+  }
+
+  /**
+   * 按 decoder 选项把一帧解码为消息列表；解码失败交给 onDecodeError（或记录日志）并返回空列表
+   * @param {MessageEvent} ev
+   * @returns {Object[]}
+   */
+  decodeFrame(ev) {
+    /** @type {SSEFrame} */
+    const frame = { type: ev.type || 'message', data: ev.data == null ? '' : String(ev.data), lastEventId: ev.lastEventId || '' };
+    try {
+      const decoded = resolveDecoder(this.opts.decoder)(frame.data, frame);
+      const list = Array.isArray(decoded) ? decoded : [decoded];
+      return list.filter(m => m && typeof m === 'object');
+    } catch (e) {
+      this.metrics.drop('decodeError');
+      this.record({ kind: 'route', decision: 'dropped', reason: 'decodeError', type: frame.type });
+      const hook = this.opts.onDecodeError;
+      if (typeof hook !== 'function') {
+        this.logger.warn('消息解码失败，已丢弃', { type: frame.type, lastEventId: frame.lastEventId || undefined, error: e });
+        return [];
+      }
+      try {
+        hook(e, frame);
+      } catch (hookErr) {
+        this.logger.warn('onDecodeError 回调执行失败', { error: hookErr });
+      }
+      return [];
     }
   }
 
-  scheduleReconnect() {
+  /**
+   * 更新连接状态，发生变化时派发 statechange
+   * @param {'disconnected'|'connecting'|'connected'|'error'} state
+   * @param {string=} reason
+   */
+  setState(state, reason) {
+    const previous = this.connectionState;
+    this.connectionState = state;
+    if (previous !== state && this.events) this.emit('statechange', { state, previous, reason });
+  }
+
+  /**
+   * 派发生命周期事件；处理函数抛错只记录日志
+   * @param {string} type
+   * @param {Object} payload
+   */
+  emit(type, payload) {
+    this.record({ kind: 'lifecycle', type, payload });
+    this.events.emit(type, payload, (e) => this.logger.warn('生命周期事件处理函数抛出异常', { event: type, error: e }));
+  }
+
+  /**
+   * 投递给 requestId 监听；done/error 后移除监听
+   * @param {string} requestId
+   * @param {{ cb: Function, order?: Object }} l
+   * @param {SSEMessage<any>} msg
+   */
+  deliver(requestId, l, msg) {
+    // 全量透传：不丢弃任何顶层字段
+    try { l.cb(msg); } catch (_) {}
+    if (msg.event === 'done' || msg.event === 'error' || msg.event === 'cancelled') {
+      if (l.order && l.order.timer) this.env.clearTimeout(l.order.timer);
+      if (this.listeners.get(requestId) === l) this.removeListener(requestId);
+      this.checkIdle();
+    }
+  }
+
+  /**
+   * ordered 模式：按 seq 重排投递
+   * - seq 等于期望值：立即投递并继续释放已暂扣的后续消息
+   * - seq 大于期望值：暂扣，等待缺失消息；超过 orderWindow 或 orderTimeout 时上报 gap 并跳过
+   * - seq 小于期望值：视为重复，丢弃
+   * - 无 seq 的消息立即投递；但无 seq 的 done 会等到序列补齐（或 gap 超时）后再投递
+   * @param {string} requestId
+   * @param {{ cb: Function, order: Object }} l
+   * @param {SSEMessage<any>} msg
+   */
+  orderMessage(requestId, l, msg) {
+    const o = l.order;
+    if (typeof msg.total === 'number') o.total = msg.total;
+    if (typeof msg.seq !== 'number') {
+      const waiting = o.held.size > 0 || (o.total !== undefined && o.next <= o.total);
+      if (msg.event === 'done' && waiting) {
+        o.pendingDone = msg;
+        this.armOrderTimer(requestId, l);
+        return;
+      }
+      this.deliver(requestId, l, msg);
+      return;
+    }
+    if (msg.seq < o.next || o.held.has(msg.seq)) {
+      this.logger.debug('丢弃重复序号消息', { requestId, seq: msg.seq });
+      return;
+    }
+    o.held.set(msg.seq, msg);
+    this.drainOrdered(requestId, l);
+    if (this.listeners.get(requestId) !== l) return;
+    if (o.held.size > o.window) this.skipGap(requestId, l);
+    else if (o.held.size > 0 || o.pendingDone) this.armOrderTimer(requestId, l);
+  }
+
+  /** 连续投递从期望 seq 开始的暂扣消息 */
+  drainOrdered(requestId, l) {
+    const o = l.order;
+    while (o.held.has(o.next)) {
+      const msg = o.held.get(o.next);
+      o.held.delete(o.next);
+      o.next++;
+      this.deliver(requestId, l, msg);
+      if (this.listeners.get(requestId) !== l) return;
+    }
+    if (o.held.size === 0) {
+      if (o.timer) {
+        this.env.clearTimeout(o.timer);
+        o.timer = undefined;
+      }
+      if (o.pendingDone && (o.total === undefined || o.next > o.total)) {
+        const done = o.pendingDone;
+        o.pendingDone = undefined;
+        this.deliver(requestId, l, done);
+      }
+    }
+  }
+
+  /** 等待缺失 seq 的定时器；超时即上报 gap */
+  armOrderTimer(requestId, l) {
+    const o = l.order;
+    if (o.timer) return;
+    o.timer = this.env.setTimeout(() => {
+      o.timer = undefined;
+      if (this.listeners.get(requestId) !== l) return;
+      this.skipGap(requestId, l);
+    }, o.timeout);
+  }
+
+  /**
+   * 放弃等待缺失的 seq：向回调派发 gap 事件后从下一条已到达的消息继续投递
+   * gap 事件：{ requestId, event: 'gap', expected, received, missing, total }
+   */
+  skipGap(requestId, l) {
+    const o = l.order;
+    if (o.timer) {
+      this.env.clearTimeout(o.timer);
+      o.timer = undefined;
+    }
+    const seqs = [...o.held.keys()];
+    const received = seqs.length > 0 ? Math.min(...seqs) : undefined;
+    const end = received ?? (o.total !== undefined ? o.total + 1 : o.next);
+    const missing = [];
+    for (let seq = o.next; seq < end; seq++) missing.push(seq);
+    if (missing.length > 0) {
+      this.logger.warn('有序投递检测到缺失序号', { requestId, expected: o.next, received });
+      try {
+        l.cb({ requestId, event: 'gap', expected: o.next, received, missing, total: o.total });
+      } catch (_) {}
+    }
+    o.next = end;
+    this.drainOrdered(requestId, l);
+    if (this.listeners.get(requestId) === l && (o.held.size > 0 || o.pendingDone)) this.armOrderTimer(requestId, l);
+  }
+
+  /**
+   * 查询 ordered 模式下某个请求的投递进度
+   * @param {string} requestId
+   * @returns {{ seq: number, total: (number|undefined), held: number }|undefined}
+   *   seq：已按序投递的最后一个序号；held：暂扣中的乱序消息条数
+   */
+  getProgress(requestId) {
+    const l = this.listeners.get(requestId);
+    if (!l || !l.order) return undefined;
+    return { seq: l.order.next - 1, total: l.order.total, held: l.order.held.size };
+  }
+
+  scheduleReconnect(reason = 'unknown') {
     const b = this.opts.reconnectBackoff || { baseMs: 1000, maxMs: 15000, factor: 1.8, jitter: 0.3 };
     const attempt = this.backoffState.attempts++;
-    const exp = Math.min(b.maxMs, b.baseMs * Math.pow(b.factor, attempt));
-    const jitter = exp * ((Math.random()) * (b.jitter ?? 0.3));
-    const delay = Math.round(exp + jitter);
-    window.setTimeout(() => this.maybeConnect('backoff'), delay);
+    // 服务端 retry 字段优先作为退避基准
+    const delay = computeBackoff({ ...b, baseMs: this.serverRetryMs ?? b.baseMs }, attempt);
+    this.metrics.reconnect(reason);
+    this.emit('reconnecting', { reason, delay, attempt: attempt + 1 });
+    if (this._reconnectTimer) this.env.clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = this.env.setTimeout(() => {
+      this._reconnectTimer = undefined;
+      this.maybeConnect('backoff');
+    }, delay);
   }
 
   checkHeartbeat() {
     if (!this.opts.withHeartbeat || !this.es) return;
-    const now = Date.now();
+    const now = this.env.now();
     const expected = (this.opts.expectedPingInterval ?? 15_000) * 2;
     const since = Math.min(now - this.lastHeartbeatAt, now - this.lastMessageAt);
     if (since > expected) {
+      this.metrics.heartbeatTimeouts += 1;
+      this.emit('heartbeat-timeout', { since, expected });
       this.reconnect('heartbeat timeout');
     }
   }
 
   clearIdleTimer() {
     if (this.idleTimer) {
-      clearTimeout(this.idleTimer);
+      this.env.clearTimeout(this.idleTimer);
       this.idleTimer = undefined;
     }
   }
 
+  /**
+   * 标签页前后台切换（仅 closeWhenHidden 时生效）
+   * @param {boolean} hidden
+   */
+  onVisibilityChange(hidden) {
+    if (!this.opts.closeWhenHidden) return;
+    if (hidden) {
+      this.checkHidden();
+      return;
+    }
+    this.clearHiddenTimer();
+    if (!this._hiddenSuspended) return;
+    this._hiddenSuspended = false;
+    // lastEventId 跨连接保留，重连时自动续传
+    if (!this.es && this.hasAnyListener()) {
+      this.logger.info('标签页回到前台，恢复连接', { lastEventId: this.lastEventId || undefined });
+      this.forceConnect('visible');
+    }
+  }
+
+  /** 后台时仍需保持连接：有进行中的请求监听，或（leader）其它标签页有监听 */
+  needsConnectionWhileHidden() {
+    if (this.listeners.size > 0) return true;
+    return !!(this.tabShare && this.tabShare.isLeader && this.tabShare.remoteDemandCount() > 0);
+  }
+
+  /** 后台且只剩广播/主题监听时，安排在宽限期后关闭连接 */
+  checkHidden() {
+    if (!this.opts.closeWhenHidden || !this.es || !this.env.isHidden() || this.needsConnectionWhileHidden()) {
+      this.clearHiddenTimer();
+      return;
+    }
+    if (this._hiddenTimer) return;
+    this._hiddenTimer = this.env.setTimeout(() => {
+      this._hiddenTimer = undefined;
+      if (!this.es || !this.env.isHidden() || this.needsConnectionWhileHidden()) return;
+      this.logger.info('标签页处于后台超过宽限期，关闭连接', { grace: this.opts.hiddenGrace });
+      this._hiddenSuspended = true;
+      this.close('hidden');
+    }, this.opts.hiddenGrace ?? 30_000);
+  }
+
+  clearHiddenTimer() {
+    if (this._hiddenTimer) {
+      this.env.clearTimeout(this._hiddenTimer);
+      this._hiddenTimer = undefined;
+    }
+  }
+
   checkIdle() {
+    this.checkHidden();
     this.clearIdleTimer();
     const idle = this.opts.idleTimeout ?? 30_000;
     if (!idle) return;
     if (!this.es) return; // 已关闭
-    if (this.listeners.size === 0 && this.globalListeners.size === 0) {
+    if (!this.hasAnyListener()) {
       // 仅在“无任何监听器”时按 idle 关闭
-      this.idleTimer = window.setTimeout(() => this.close('idle'), idle);
+      this.idleTimer = this.env.setTimeout(() => this.close('idle'), idle);
       return;
     }
     // 有监听时，不因“无交互”关闭；但仍保持一个自检定时器以便后续状态变化再评估
     const lastActive = Math.max(this.lastActiveAt, this.lastMessageAt);
-    const remaining = idle - (Date.now() - lastActive);
+    const remaining = idle - (this.env.now() - lastActive);
     if (remaining > 0) {
-      this.idleTimer = window.setTimeout(() => this.checkIdle(), remaining);
+      this.idleTimer = this.env.setTimeout(() => this.checkIdle(), remaining);
     }
   }
 }
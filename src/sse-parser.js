@@ -0,0 +1,127 @@
+/**
+ * SSE 帧解析器（text/event-stream）
+ * 中文注释：按 WHATWG 规范逐行解析 `event:`/`data:`/`id:`/`retry:` 字段与注释行；
+ * 支持分片输入（chunk 边界可落在任意位置，包括 \r\n 之间）。
+ */
+
+/**
+ * @typedef {Object} SSEFrame
+ * @property {string} type          // 事件类型，缺省为 "message"
+ * @property {string} data          // data 行拼接结果（多行以 \n 连接）
+ * @property {string} lastEventId   // 最近一次 id 字段的值
+ */
+
+/**
+ * @typedef {Object} SSEParserHandlers
+ * @property {(frame:SSEFrame)=>void=} onEvent
+ * @property {(text:string)=>void=} onComment   // 以 ":" 开头的注释行（常用于 keep-alive）
+ * @property {(ms:number)=>void=} onRetry        // 服务端下发的重连间隔
+ */
+
+export class SSEParser {
+  /**
+   * @param {SSEParserHandlers} handlers
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.buffer = '';
+    this.lastEventId = '';
+    this._eventType = '';
+    this._data = '';
+    this._hasData = false;
+    this._sawCR = false;   // 上一个分片以 \r 结尾，需吞掉紧随的 \n
+    this._started = false; // 用于去除流首部 BOM
+  }
+
+  /**
+   * 输入一段文本分片
+   * @param {string} chunk
+   */
+  feed(chunk) {
+    if (!chunk) return;
+    let text = chunk;
+    if (!this._started) {
+      this._started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+    if (this._sawCR) {
+      this._sawCR = false;
+      if (text[0] === '\n') text = text.slice(1);
+    }
+    this.buffer += text;
+
+    let start = 0;
+    for (let i = 0; i < this.buffer.length; i++) {
+      const c = this.buffer[i];
+      if (c !== '\r' && c !== '\n') continue;
+      this.processLine(this.buffer.slice(start, i));
+      if (c === '\r') {
+        if (i + 1 === this.buffer.length) {
+          this._sawCR = true;
+        } else if (this.buffer[i + 1] === '\n') {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+    this.buffer = this.buffer.slice(start);
+  }
+
+  /** 流结束：丢弃未以空行结束的半个事件（与 EventSource 行为一致） */
+  end() {
+    this.buffer = '';
+    this._eventType = '';
+    this._data = '';
+    this._hasData = false;
+    this._sawCR = false;
+  }
+
+  /** @param {string} line */
+  processLine(line) {
+    if (line === '') {
+      this.dispatchEvent();
+      return;
+    }
+    if (line[0] === ':') {
+      if (this.handlers.onComment) this.handlers.onComment(line.slice(1).replace(/^ /, ''));
+      return;
+    }
+    const idx = line.indexOf(':');
+    const field = idx === -1 ? line : line.slice(0, idx);
+    let value = idx === -1 ? '' : line.slice(idx + 1);
+    if (value[0] === ' ') value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        this._eventType = value;
+        break;
+      case 'data':
+        this._data += this._hasData ? `\n${value}` : value;
+        this._hasData = true;
+        break;
+      case 'id':
+        if (value.indexOf('\0') === -1) this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value) && this.handlers.onRetry) this.handlers.onRetry(parseInt(value, 10));
+        break;
+      default:
+        // 未知字段按规范忽略
+        break;
+    }
+  }
+
+  dispatchEvent() {
+    const hasData = this._hasData;
+    const frame = {
+      type: this._eventType || 'message',
+      data: this._data,
+      lastEventId: this.lastEventId,
+    };
+    this._eventType = '';
+    this._data = '';
+    this._hasData = false;
+    if (!hasData) return;
+    if (this.handlers.onEvent) this.handlers.onEvent(frame);
+  }
+}
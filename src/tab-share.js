@@ -0,0 +1,232 @@
+/**
+ * 跨标签页共享 SSE 连接（leader 选举 + BroadcastChannel 转发）
+ * 中文注释：同一 channel 下的多个 SSEClient（通常位于不同标签页）只由 leader 持有 EventSource，
+ * leader 把收到的消息转发给其它标签页（follower），follower 在本地照常路由到 postAndListen/onBroadcast。
+ *
+ * 选举规则：
+ * - 新实例启动即发起 claim；已有 leader 时 leader 立即回应，claim 方退让。
+ * - leader 每 heartbeatMs 广播一次心跳；follower 超过 leaderTimeout 未收到心跳则重新 claim。
+ * - 并发 claim 或出现两个 leader 时，tabId 较小者（较早创建的标签页）胜出。
+ * - leader 销毁或页面隐藏卸载（pagehide）时广播 resign，follower 立即接管。
+ */
+
+/**
+ * @typedef {Object} TabShareOptions
+ * @property {string=} channel        // BroadcastChannel 名称，默认 "vsse:<url>"
+ * @property {number=} heartbeatMs    // leader 心跳间隔，默认 1000
+ * @property {number=} leaderTimeout  // 多久未收到心跳视为 leader 失联，默认 3000
+ * @property {number=} claimWindow    // claim 后等待他人回应的时间，默认 200
+ */
+
+function createTabId() {
+  return `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class TabCoordinator {
+  /**
+   * @param {import('./sse-client.js').SSEClient} client
+   * @param {TabShareOptions=} options
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = {
+      heartbeatMs: 1000,
+      leaderTimeout: 3000,
+      claimWindow: 200,
+      ...options,
+    };
+    this.tabId = createTabId();
+    this.isLeader = false;
+    /** @type {string|undefined} */
+    this.leaderId = undefined;
+    this.leaderSeenAt = 0;
+    this.claiming = false;
+    /** @type {Map<string,{ count: number, at: number }>} follower 上报的监听数量 */
+    this.remoteDemand = new Map();
+    this._lastReportedDemand = -1;
+
+    this.channelName = this.options.channel || `vsse:${client.opts.url}`;
+    this.channel = new BroadcastChannel(this.channelName);
+    this._onChannelMessage = (ev) => this.handle(ev.data);
+    this.channel.addEventListener('message', this._onChannelMessage);
+
+    this.env = client.env;
+    this._tickId = this.env.setInterval(() => this.tick(), this.options.heartbeatMs);
+    this._offPageHide = this.env.onPageHide(() => this.resign());
+    this.startClaim();
+  }
+
+  /** 当前标签页在共享组中的角色 */
+  get role() {
+    return this.isLeader ? 'leader' : 'follower';
+  }
+
+  /** 其它标签页上报的监听总数 */
+  remoteDemandCount() {
+    let total = 0;
+    for (const d of this.remoteDemand.values()) total += d.count;
+    return total;
+  }
+
+  /**
+   * leader：把解析后的消息转发给其它标签页
+   * @param {Object} msg
+   */
+  relay(msg) {
+    if (!this.isLeader) return;
+    this.post({ type: 'msg', msg, lastEventId: this.client.lastEventId });
+  }
+
+  /**
+   * follower：向 leader 上报本地监听数量
+   * connect=true 表示本地主动调用了 connect()；refresh=true 表示响应心跳续期（数量不变也上报）
+   * @param {{ connect?: boolean, refresh?: boolean }=} extra
+   */
+  reportDemand(extra = {}) {
+    if (this.isLeader) return;
+    const count = this.client.localListenerCount();
+    const unchanged = count === this._lastReportedDemand;
+    if (!extra.connect && unchanged && (count === 0 || !extra.refresh)) return;
+    this._lastReportedDemand = count;
+    this.post({ type: 'demand', count, connect: !!extra.connect });
+  }
+
+  /** 主动让出 leader（页面卸载/实例销毁） */
+  resign() {
+    if (!this.isLeader) return;
+    this.isLeader = false;
+    this.leaderId = undefined;
+    // 给其它标签页一个 leaderTimeout 完成接管，期间不重新 claim
+    this.leaderSeenAt = this.env.now();
+    this.post({ type: 'resign' });
+    // 关闭本地连接：否则新 leader 建立第二条连接，本页会同时收到自身流与转发的消息
+    this.client.onTabRoleChange('follower');
+  }
+
+  destroy() {
+    if (this.isLeader) {
+      this.resign();
+    } else {
+      this.post({ type: 'bye' });
+    }
+    this.env.clearInterval(this._tickId);
+    this.env.clearTimeout(this._claimTimer);
+    this._offPageHide();
+    this.channel.removeEventListener('message', this._onChannelMessage);
+    this.channel.close();
+    this.remoteDemand.clear();
+  }
+
+  // ========== 内部实现 ==========
+  post(data) {
+    try {
+      this.channel.postMessage({ ...data, from: this.tabId });
+    } catch (e) {
+      this.client.logger.warn('跨标签页消息发送失败', { channel: this.channelName, error: e });
+    }
+  }
+
+  tick() {
+    const now = this.env.now();
+    if (this.isLeader) {
+      this.post({ type: 'leader', state: this.client.connectionState, lastEventId: this.client.lastEventId });
+      // 清理长时间未刷新（页面崩溃未发 bye）的 follower 上报
+      let changed = false;
+      for (const [tab, d] of this.remoteDemand) {
+        if (now - d.at > this.options.leaderTimeout) {
+          this.remoteDemand.delete(tab);
+          changed = true;
+        }
+      }
+      if (changed) this.client.checkIdle();
+      return;
+    }
+    if (!this.claiming && now - this.leaderSeenAt > this.options.leaderTimeout) {
+      this.startClaim();
+    }
+  }
+
+  startClaim() {
+    this.claiming = true;
+    this.post({ type: 'claim' });
+    this.env.clearTimeout(this._claimTimer);
+    this._claimTimer = this.env.setTimeout(() => {
+      if (this.claiming) this.becomeLeader();
+    }, this.options.claimWindow);
+  }
+
+  becomeLeader() {
+    this.claiming = false;
+    this.isLeader = true;
+    this.leaderId = this.tabId;
+    this._lastReportedDemand = -1;
+    this.client.logger.info('当前标签页成为 leader', { channel: this.channelName });
+    this.post({ type: 'leader', state: this.client.connectionState, lastEventId: this.client.lastEventId });
+    this.client.onTabRoleChange('leader');
+  }
+
+  stepDown(leaderId) {
+    this.isLeader = false;
+    this.leaderId = leaderId;
+    this.leaderSeenAt = this.env.now();
+    this.client.logger.info('检测到其它 leader，当前标签页退为 follower', { channel: this.channelName });
+    this.client.onTabRoleChange('follower');
+  }
+
+  handle(data) {
+    if (!data || typeof data !== 'object' || data.from === this.tabId) return;
+    const { type, from } = data;
+    switch (type) {
+      case 'claim':
+        // 已是 leader：宣示主权，让对方退让
+        if (this.isLeader) {
+          this.post({ type: 'leader', state: this.client.connectionState, lastEventId: this.client.lastEventId });
+        } else if (this.claiming && from < this.tabId) {
+          this.claiming = false;
+          this.leaderSeenAt = this.env.now();
+        }
+        break;
+      case 'leader':
+        if (this.isLeader) {
+          if (from < this.tabId) this.stepDown(from);
+          else this.post({ type: 'leader', state: this.client.connectionState, lastEventId: this.client.lastEventId });
+          break;
+        }
+        this.claiming = false;
+        this.leaderSeenAt = this.env.now();
+        if (data.lastEventId) this.client.lastEventId = data.lastEventId;
+        if (typeof data.state === 'string') this.client.setState(data.state, 'tab leader');
+        if (this.leaderId !== from) {
+          // 新 leader：重新上报本地监听
+          this.leaderId = from;
+          this._lastReportedDemand = -1;
+        }
+        this.reportDemand({ refresh: true });
+        break;
+      case 'resign':
+        if (from === this.leaderId) {
+          this.leaderId = undefined;
+          this.leaderSeenAt = 0;
+          if (!this.isLeader) this.startClaim();
+        }
+        break;
+      case 'demand':
+        if (!this.isLeader) break;
+        this.remoteDemand.set(from, { count: data.count, at: this.env.now() });
+        if (data.connect) this.client.connect();
+        else if (data.count > 0 && !this.client.es) this.client.maybeConnect('tab demand');
+        this.client.checkIdle();
+        break;
+      case 'bye':
+        if (this.remoteDemand.delete(from)) this.client.checkIdle();
+        break;
+      case 'msg':
+        if (this.isLeader) break;
+        if (data.lastEventId) this.client.lastEventId = data.lastEventId;
+        this.client.acceptMessage(data.msg);
+        break;
+      default:
+        break;
+    }
+  }
+}
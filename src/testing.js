@@ -0,0 +1,317 @@
+/**
+ * 测试工具包
+ * 中文注释：提供内存中的模拟传输（推送帧、建立/中断连接）、模拟 fetch 与假时钟，
+ * 通过 SSEClient 的 env 选项注入，无需网络即可断言路由、重连时序、空闲关闭与心跳超时。
+ * 仅用于测试：通过 "vsse/testing" 引入，不包含在主入口中。
+ */
+
+/**
+ * @typedef {Object} FakeTimer
+ * @property {number} id
+ * @property {number} at                     // 到期时间
+ * @property {Function} fn
+ * @property {number=} interval              // setInterval 的周期
+ */
+
+/** 让出若干轮微任务，使 fetch/Promise 链推进 */
+async function flushMicrotasks(rounds = 20) {
+  for (let i = 0; i < rounds; i++) await Promise.resolve();
+}
+
+export class FakeClock {
+  /**
+   * @param {{ now?: number }=} options now：起始时间，默认 Date.now()
+   */
+  constructor(options = {}) {
+    this.current = options.now ?? Date.now();
+    /** @type {Map<number,FakeTimer>} */
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  /** 当前假时间 */
+  now() {
+    return this.current;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, at: this.current + Math.max(0, ms), fn });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(fn, ms = 0) {
+    const id = this.nextId++;
+    const interval = Math.max(1, ms);
+    this.timers.set(id, { id, at: this.current + interval, fn, interval });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  /** 待执行的定时器数 */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /** 最早到期的定时器（同一时刻按创建顺序） */
+  peek() {
+    let next;
+    for (const timer of this.timers.values()) {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  /**
+   * 推进时间并按到期顺序执行定时器；每个定时器执行后让出微任务，使异步回调（如 fetch 重试）继续推进
+   * @param {number} ms
+   * @returns {Promise<number>} 执行的定时器数
+   */
+  async advance(ms) {
+    const target = this.current + ms;
+    let fired = 0;
+    await flushMicrotasks();
+    for (let timer = this.peek(); timer && timer.at <= target; timer = this.peek()) {
+      this.current = timer.at;
+      if (timer.interval) timer.at += timer.interval;
+      else this.timers.delete(timer.id);
+      fired += 1;
+      timer.fn();
+      await flushMicrotasks();
+    }
+    this.current = target;
+    return fired;
+  }
+
+  /**
+   * 执行到下一个定时器为止（用于不关心具体延迟、只关心"下一步"的场景）
+   * @returns {Promise<number|undefined>} 推进的毫秒数；没有待执行定时器时返回 undefined
+   */
+  async next() {
+    const timer = this.peek();
+    if (!timer) return undefined;
+    const delay = timer.at - this.current;
+    await this.advance(delay);
+    return delay;
+  }
+}
+
+/**
+ * 模拟的 EventSource 连接；测试代码通过 open()/push()/fail()/end() 扮演服务端
+ */
+export class MockEventSource {
+  /**
+   * @param {string} url
+   * @param {Object=} config 客户端传入的配置（headers、withCredentials 等）
+   */
+  constructor(url, config = {}) {
+    this.url = url;
+    this.config = config;
+    this.headers = config.headers || {};
+    this.withCredentials = !!config.withCredentials;
+    /** 0 连接中 / 1 已连接 / 2 已关闭（与 EventSource.readyState 一致） */
+    this.readyState = 0;
+    /** @type {Map<string,Set<Function>>} */
+    this.handlers = new Map();
+    this.closed = false;
+  }
+
+  addEventListener(type, fn) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    if (this.handlers.has(type)) this.handlers.get(type).delete(fn);
+  }
+
+  /** 客户端主动关闭 */
+  close() {
+    this.closed = true;
+    this.readyState = 2;
+  }
+
+  emit(type, ev) {
+    if (this.closed) return;
+    const hs = this.handlers.get(type);
+    if (hs) [...hs].forEach(h => h(ev));
+  }
+
+  /**
+   * 服务端接受连接
+   * @param {{ status?: number }=} options
+   */
+  open(options = {}) {
+    this.readyState = 1;
+    this.emit('open', { type: 'open', status: options.status });
+    return this;
+  }
+
+  /**
+   * 推送一帧；对象会被 JSON 序列化
+   * @param {any} data
+   * @param {{ event?: string, id?: string }=} options event：SSE 事件类型，默认 "message"；id：事件 id
+   */
+  push(data, options = {}) {
+    const type = options.event || 'message';
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    this.emit(type, { type, data: text, lastEventId: options.id || '' });
+    return this;
+  }
+
+  /**
+   * 连接出错（如握手失败、网络中断）
+   * @param {{ status?: number, error?: any }=} options
+   */
+  fail(options = {}) {
+    this.emit('error', { type: 'error', status: options.status, error: options.error });
+    return this;
+  }
+
+  /** 服务端关闭流；与浏览器 EventSource 一致，表现为 error 事件 */
+  end() {
+    this.readyState = 2;
+    return this.fail();
+  }
+}
+
+/**
+ * 创建模拟 fetch；记录每次调用并按 handler 返回响应
+ * @param {(url:string, init:RequestInit, call:{ url: string, init: RequestInit, body: any })=>any=} handler
+ *   返回 { status, body, headers } 或 Response 风格对象；抛出异常模拟网络错误；默认 200
+ */
+export function createMockFetch(handler) {
+  /** @type {Array<{ url: string, init: RequestInit, body: any }>} */
+  const calls = [];
+  const mockFetch = async (url, init = {}) => {
+    let body = init.body;
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch (_) { /* 非 JSON 请求体保持原样 */ }
+    }
+    const call = { url, init, body };
+    calls.push(call);
+    const { signal } = init;
+    const abortError = () => signal.reason || Object.assign(new Error('Aborted'), { name: 'AbortError' });
+    if (signal && signal.aborted) throw abortError();
+    const pending = Promise.resolve(handler ? handler(url, init, call) : undefined);
+    if (!signal) return toResponse(await pending);
+    // 与真实 fetch 一致：handler 尚未返回时 signal 中止，立即以 signal.reason 拒绝
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => reject(abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return toResponse(await Promise.race([pending, aborted]));
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+  mockFetch.calls = calls;
+  /** 最近一次调用 */
+  mockFetch.last = () => calls[calls.length - 1];
+  return mockFetch;
+}
+
+/**
+ * @param {any} result
+ */
+function toResponse(result) {
+  if (result && typeof result.ok === 'boolean') return result;
+  const { status = 200, body = null, headers = {} } = result || {};
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => lower[String(name).toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+/**
+ * 创建测试环境：假时钟 + 模拟传输 + 模拟 fetch + 可控的网络/前后台/用户活动信号
+ * 用法：new SSEClient({ url, env: t.env })
+ * @param {{ now?: number, fetch?: Parameters<typeof createMockFetch>[0], online?: boolean, hidden?: boolean }=} options
+ */
+export function createTestEnvironment(options = {}) {
+  const clock = new FakeClock({ now: options.now });
+  const fetch = createMockFetch(options.fetch);
+  /** @type {MockEventSource[]} */
+  const connections = [];
+  const signals = { activity: new Set(), online: new Set(), offline: new Set(), pageHide: new Set(), visibility: new Set() };
+  const state = { online: options.online ?? true, hidden: options.hidden ?? false };
+  const subscribe = (set, fn) => {
+    set.add(fn);
+    return () => set.delete(fn);
+  };
+
+  class TestEventSource extends MockEventSource {
+    constructor(url, config) {
+      super(url, config);
+      connections.push(this);
+    }
+  }
+
+  /** @type {import('./env.js').SSEEnvironment} */
+  const env = {
+    setTimeout: (fn, ms) => clock.setTimeout(fn, ms),
+    clearTimeout: (id) => clock.clearTimeout(id),
+    setInterval: (fn, ms) => clock.setInterval(fn, ms),
+    clearInterval: (id) => clock.clearInterval(id),
+    now: () => clock.now(),
+    fetch,
+    EventSource: TestEventSource,
+    onActivity: (fn) => subscribe(signals.activity, fn),
+    isOnline: () => state.online,
+    onNetworkChange: ({ online, offline } = {}) => {
+      const offs = [online && subscribe(signals.online, online), offline && subscribe(signals.offline, offline)];
+      return () => offs.forEach(off => off && off());
+    },
+    onPageHide: (fn) => subscribe(signals.pageHide, fn),
+    isHidden: () => state.hidden,
+    onVisibilityChange: (fn) => subscribe(signals.visibility, fn),
+  };
+
+  return {
+    env,
+    clock,
+    fetch,
+    /** 客户端创建过的全部连接（按创建顺序） */
+    connections,
+    /** 最近创建的连接 */
+    get connection() {
+      return connections[connections.length - 1];
+    },
+    /** 推进假时间，见 FakeClock.advance() */
+    advance: (ms) => clock.advance(ms),
+    /** 让出微任务，使 postAndListen 等异步流程推进 */
+    flush: () => flushMicrotasks(),
+    /** 模拟用户活动 */
+    activity() {
+      [...signals.activity].forEach(fn => fn());
+    },
+    /** 切换网络状态 */
+    setOnline(online) {
+      state.online = online;
+      [...(online ? signals.online : signals.offline)].forEach(fn => fn());
+    },
+    /** 切换标签页前后台 */
+    setHidden(hidden) {
+      state.hidden = hidden;
+      [...signals.visibility].forEach(fn => fn(hidden));
+    },
+    /** 模拟页面卸载 */
+    pageHide() {
+      [...signals.pageHide].forEach(fn => fn());
+    },
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * 主题订阅（基于 onBroadcast 的细粒度路由）
+ * 中文注释：按消息中的主题字段（默认 topic）把"无 requestId"的消息分发给订阅者。
+ * 主题以 "." 分段；模式中 `*` 匹配恰好一段，`**` 匹配任意多段（含零段）。
+ * 同一模式的多次订阅共享一条记录并做引用计数：首次订阅/最后一次退订时触发回调，便于通知服务端。
+ */
+
+/**
+ * 把主题模式编译为正则
+ * @param {string} pattern 例如 "orders.*"、"orders.**"、"orders.created"
+ * @returns {RegExp}
+ */
+export function compileTopicPattern(pattern) {
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // 连续的 ** 与单个 ** 等价
+  const segments = String(pattern).split('.').filter((seg, i, all) => !(seg === '**' && all[i - 1] === '**'));
+  let source = '';
+  segments.forEach((seg, i) => {
+    // 开头的 ** 已把分隔符并入可选组，紧随其后的段不再加分隔符
+    const sep = i === 0 || (i === 1 && segments[0] === '**') ? '' : '\\.';
+    if (seg === '**') {
+      // 允许匹配零段：连同相邻的分隔符一起可选
+      if (i > 0) source += '(?:\\.[^.]+)*';
+      else source += segments.length > 1 ? '(?:[^.]+(?:\\.[^.]+)*\\.)?' : '(?:[^.]+(?:\\.[^.]+)*)?';
+    } else if (seg === '*') {
+      source += `${sep}[^.]+`;
+    } else {
+      source += `${sep}${escape(seg)}`;
+    }
+  });
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 读取对象上的字段，支持 "meta.topic" 形式的路径
+ * @param {any} obj
+ * @param {string} path
+ */
+export function readField(obj, path) {
+  return String(path).split('.').reduce((cur, key) => (cur == null ? undefined : cur[key]), obj);
+}
+
+export class TopicRegistry {
+  /**
+   * @param {{ onFirst?: (pattern:string)=>void, onLast?: (pattern:string)=>void }=} hooks
+   */
+  constructor(hooks = {}) {
+    this.hooks = hooks;
+    /** @type {Map<string,{ matcher: RegExp, subs: Set<{ cb: Function }> }>} */
+    this.entries = new Map();
+  }
+
+  /** 当前订阅总数（同一模式多次订阅分别计数） */
+  get size() {
+    let total = 0;
+    for (const e of this.entries.values()) total += e.subs.size;
+    return total;
+  }
+
+  /** 当前处于订阅状态的模式 */
+  patterns() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * 增加一次订阅，返回对应的退订函数（重复调用无副作用）
+   * @param {string} pattern
+   * @param {Function} cb
+   * @returns {() => void}
+   */
+  add(pattern, cb) {
+    let entry = this.entries.get(pattern);
+    const isFirst = !entry;
+    if (!entry) {
+      entry = { matcher: compileTopicPattern(pattern), subs: new Set() };
+      this.entries.set(pattern, entry);
+    }
+    const token = { cb };
+    entry.subs.add(token);
+    if (isFirst && this.hooks.onFirst) this.hooks.onFirst(pattern);
+    return () => {
+      if (!entry.subs.delete(token)) return;
+      if (entry.subs.size === 0 && this.entries.get(pattern) === entry) {
+        this.entries.delete(pattern);
+        if (this.hooks.onLast) this.hooks.onLast(pattern);
+      }
+    };
+  }
+
+  /**
+   * 找出匹配某个主题的全部回调（同一回调在多个模式下匹配时只返回一次）
+   * @param {string} topic
+   * @returns {Function[]}
+   */
+  match(topic) {
+    const out = new Set();
+    for (const entry of this.entries.values()) {
+      if (!entry.matcher.test(topic)) continue;
+      for (const { cb } of entry.subs) out.add(cb);
+    }
+    return [...out];
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
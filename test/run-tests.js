@@ -1,6 +1,15 @@
 // Minimal test harness for vsse without external deps
 // Node ESM script
-import { SSEClient } from '../src/index.js'
+import { SSEClient as BaseSSEClient, SSEParser, SSEManager } from '../src/index.js'
+import { createTestEnvironment } from '../src/testing.js'
+import { compileTopicPattern } from '../src/topics.js'
+import { EventSourcePolyfill } from 'event-source-polyfill'
+import { createServer } from 'node:http'
+import { getEventListeners } from 'node:events'
+import { createElement, StrictMode } from 'react'
+import TestRenderer from 'react-test-renderer'
+import { SSEProvider, useSSEClient, useBroadcast, useSSERequest } from '../src/react.js'
+import { sseManager } from '../src/manager.js'
 
 let passed = 0
 let failed = 0
@@ -41,6 +50,7 @@ class MockEventSource {
   constructor(url, opts) {
     this.url = url
     this.withCredentials = !!(opts && opts.withCredentials)
+    this.headers = (opts && opts.headers) || {}
     this.handlers = new Map()
     this.closed = false
   }
@@ -61,8 +71,12 @@ class MockEventSource {
   }
 }
 
-// Make EventSource visible to vsse code (it calls new EventSource(...))
-globalThis.EventSource = MockEventSource
+// Inject the mock through env.EventSource (the client does not read the global EventSource in every runtime)
+class SSEClient extends BaseSSEClient {
+  constructor(opts = {}) {
+    super({ ...opts, env: { EventSource: MockEventSource, ...opts.env } })
+  }
+}
 
 // Mock fetch
 globalThis.fetch = async function(url, init) {
@@ -92,6 +106,7 @@ async function testEventTypeFallback() {
   client.es.dispatch('notify', JSON.stringify({ requestId: 'r1', payload: { x: 1 } }))
   await new Promise(r => setTimeout(r, 0))
   assert(got && got.event === 'notify' && got.payload && got.payload.x === 1, 'Fallback to ev.type when data.event missing')
+  client.destroy()
 }
 
 async function testDestroyRemovesListeners() {
@@ -133,6 +148,1244 @@ async function testConnectIdempotent() {
   client.close()
 }
 
+function streamResponse(chunks, init = {}) {
+  const enc = new TextEncoder()
+  const body = new ReadableStream({
+    start(controller) {
+      for (const c of chunks) controller.enqueue(enc.encode(c))
+      if (!init.keepOpen) controller.close()
+    }
+  })
+  const status = init.status ?? 200
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: 'OK',
+    headers: new Headers({ 'content-type': init.contentType ?? 'text/event-stream' }),
+    body,
+  }
+}
+
+async function testSSEParserFrames() {
+  const frames = []
+  const comments = []
+  let retry
+  const p = new SSEParser({
+    onEvent: f => frames.push(f),
+    onComment: c => comments.push(c),
+    onRetry: ms => { retry = ms },
+  })
+  p.feed(': keep-alive\r')
+  p.feed('\nevent: progress\nid: 7\ndata: {"a":')
+  p.feed('1}\ndata: x\r\n\r\nretry: 3000\n\ndata:no-space\n\n')
+  assert(comments.length === 1 && comments[0] === 'keep-alive', 'parser reports comment lines')
+  assert(frames.length === 2, 'parser dispatches one frame per blank line')
+  assert(frames[0].type === 'progress' && frames[0].data === '{"a":1}\nx' && frames[0].lastEventId === '7', 'parser joins data lines and keeps event/id')
+  assert(frames[1].type === 'message' && frames[1].data === 'no-space' && frames[1].lastEventId === '7', 'parser defaults type and carries lastEventId')
+  assert(retry === 3000, 'parser reports retry field')
+}
+
+async function testFetchTransport() {
+  const origFetch = globalThis.fetch
+  let sseInit
+  globalThis.fetch = async (url, init) => {
+    if (url === 'mock://stream') {
+      sseInit = init
+      return streamResponse([
+        ': hi\n\nretry: 2500\n\n',
+        'event: notify\ndata: {"requestId":"f1","event":"progress","payload":1}\n\n',
+        'event: notify\ndata: {"requestId":"f1","event":"done"}\n\n',
+      ], { keepOpen: true })
+    }
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  try {
+    const client = new SSEClient({
+      url: 'mock://stream', transport: 'fetch', eventName: 'notify',
+      sseMethod: 'POST', sseBody: { room: 1 }, token: 't0',
+    })
+    const got = []
+    await client.postAndListen('/api/x', {}, (msg) => got.push(msg.event), { requestId: 'f1' })
+    await new Promise(r => setTimeout(r, 20))
+    assert(sseInit && sseInit.method === 'POST' && sseInit.body === '{"room":1}', 'fetch transport sends method and body')
+    assert(sseInit.headers['Authorization'] === 'Bearer t0' && sseInit.headers['Accept'] === 'text/event-stream', 'fetch transport sends auth and accept headers')
+    assert(got.join(',') === 'progress,done', 'fetch transport feeds dispatch path')
+    const info = client.getConnectionInfo()
+    assert(info.state === 'connected' && info.httpStatus === 200, 'fetch transport exposes http status')
+    assert(client.serverRetryMs === 2500, 'fetch transport honours retry field')
+    client.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testFetchTransportHttpError() {
+  const origFetch = globalThis.fetch
+  globalThis.fetch = async () => streamResponse([], { status: 401 })
+  try {
+    const client = new SSEClient({ url: 'mock://stream', transport: 'fetch', reconnectBackoff: { baseMs: 10, maxMs: 10, factor: 1, jitter: 0 } })
+    client.connect()
+    await new Promise(r => setTimeout(r, 10))
+    assert(!client.es && client.lastHttpStatus === 401, 'fetch transport surfaces non-2xx as error with status')
+    client.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testLastEventIdResume() {
+  const origFetch = globalThis.fetch
+  const sseInits = []
+  globalThis.fetch = async (url, init) => {
+    if (String(url).startsWith('mock://resume')) {
+      sseInits.push({ url, init })
+      if (sseInits.length === 1) {
+        return streamResponse([
+          'id: 1\ndata: {"requestId":"r9","event":"progress","payload":1}\n\n',
+          'id: 2\ndata: {"requestId":"r9","event":"progress","payload":2}\n\n',
+        ])
+      }
+      return streamResponse([
+        'id: 2\ndata: {"requestId":"r9","event":"progress","payload":2}\n\n',
+        'id: 3\ndata: {"requestId":"r9","event":"done","payload":3}\n\n',
+      ], { keepOpen: true })
+    }
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  try {
+    const client = new SSEClient({
+      url: 'mock://resume', transport: 'fetch', notifyReconnect: true,
+      reconnectBackoff: { baseMs: 10, maxMs: 10, factor: 1, jitter: 0 },
+    })
+    client._minConnectInterval = 0
+    const got = []
+    await client.postAndListen('/api/x', {}, (msg) => got.push(`${msg.event}:${msg.payload ?? ''}`), { requestId: 'r9' })
+    await new Promise(r => setTimeout(r, 60))
+    assert(sseInits.length === 2, 'reconnects after stream ends')
+    assert(!sseInits[0].init.headers['Last-Event-ID'], 'first connect has no Last-Event-ID')
+    assert(sseInits[1].init.headers['Last-Event-ID'] === '2', 'reconnect sends Last-Event-ID header')
+    assert(got.join(',') === 'progress:1,progress:2,reconnecting:,resumed:,done:3', 'replayed duplicates dropped and gap reported')
+    assert(client.getConnectionInfo().lastEventId === '3', 'lastEventId tracked')
+    client.destroy()
+
+    sseInits.length = 0
+    const q = new SSEClient({ url: 'mock://resume?u=1', transport: 'fetch', resumeMode: 'query' })
+    q.lastEventId = '42'
+    q.connect()
+    await new Promise(r => setTimeout(r, 10))
+    assert(sseInits[0].url === 'mock://resume?u=1&lastEventId=42' && !sseInits[0].init.headers['Last-Event-ID'], 'query resume mode appends lastEventId param')
+    q.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testStreamIterator() {
+  const client = new SSEClient({ url: 'mock://sse', idleTimeout: 500 })
+  const seen = []
+  const consume = (async () => {
+    for await (const msg of client.stream('/api/x', {}, { requestId: 's1' })) seen.push(msg.event)
+  })()
+  await new Promise(r => setTimeout(r, 0))
+  client.dispatch({ requestId: 's1', event: 'progress' })
+  client.dispatch({ requestId: 's1', event: 'progress' })
+  client.dispatch({ requestId: 's1', event: 'done' })
+  await consume
+  assert(seen.join(',') === 'progress,progress,done', 'stream() yields messages and ends on done')
+  assert(!client.listeners.has('s1'), 'stream() releases listener after done')
+
+  let caught
+  const failing = (async () => {
+    try {
+      for await (const _ of client.stream('/api/x', {}, { requestId: 's2' })) { /* noop */ }
+    } catch (e) { caught = e }
+  })()
+  await new Promise(r => setTimeout(r, 0))
+  client.dispatch({ requestId: 's2', event: 'error', code: 'E1', message: 'boom' })
+  await failing
+  assert(caught && caught.message === 'boom' && caught.code === 'E1', 'stream() throws on error event')
+
+  const breaking = (async () => {
+    for await (const msg of client.stream('/api/x', {}, { requestId: 's3' })) {
+      if (msg.event === 'progress') break
+    }
+  })()
+  await new Promise(r => setTimeout(r, 0))
+  assert(client.listeners.has('s3'), 'stream() registers listener')
+  client.dispatch({ requestId: 's3', event: 'progress' })
+  await breaking
+  assert(!client.listeners.has('s3'), 'stream() releases listener when consumer breaks')
+  client.destroy()
+}
+
+async function testListenerTimeouts() {
+  const client = new SSEClient({ url: 'mock://sse', idleTimeout: 500 })
+  const a = []
+  const b = []
+  await client.postAndListen('/api/x', {}, (msg) => a.push(msg), { requestId: 't1', streamTimeout: 40 })
+  await client.postAndListen('/api/x', {}, (msg) => b.push(msg), { requestId: 't2', eventTimeout: 25 })
+  await new Promise(r => setTimeout(r, 15))
+  client.dispatch({ requestId: 't1', event: 'progress' })
+  client.dispatch({ requestId: 't2', event: 'progress' })
+  await new Promise(r => setTimeout(r, 15))
+  assert(client.listeners.has('t2'), 'eventTimeout is extended by incoming events')
+  await new Promise(r => setTimeout(r, 30))
+  assert(!client.listeners.has('t1') && a.length === 2 && a[1].event === 'error' && a[1].code === 'STREAM_TIMEOUT', 'streamTimeout evicts listener with STREAM_TIMEOUT error')
+  assert(!client.listeners.has('t2') && b[1].event === 'error' && b[1].code === 'EVENT_TIMEOUT', 'eventTimeout evicts listener with EVENT_TIMEOUT error')
+
+  const c = new SSEClient({ url: 'mock://sse', defaultStreamTimeout: 10 })
+  await c.postAndListen('/api/x', {}, () => {}, { requestId: 't3' })
+  await new Promise(r => setTimeout(r, 25))
+  assert(c.listeners.size === 0, 'defaultStreamTimeout applies when not set per request')
+  client.destroy()
+  c.destroy()
+}
+
+async function testShareAcrossTabs() {
+  const origFetch = globalThis.fetch
+  let sseConnects = 0
+  globalThis.fetch = async (url) => {
+    if (url === 'mock://shared') {
+      sseConnects++
+      return streamResponse([': ok\n\n'], { keepOpen: true })
+    }
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  const share = { channel: 'vsse-test', heartbeatMs: 20, leaderTimeout: 60, claimWindow: 10 }
+  try {
+    const a = new SSEClient({ url: 'mock://shared', transport: 'fetch', shareAcrossTabs: share })
+    await new Promise(r => setTimeout(r, 30))
+    const b = new SSEClient({ url: 'mock://shared', transport: 'fetch', shareAcrossTabs: share })
+    await new Promise(r => setTimeout(r, 30))
+    assert(a.getConnectionInfo().tabRole === 'leader' && b.getConnectionInfo().tabRole === 'follower', 'first tab becomes leader, second follows')
+
+    const got = []
+    await b.postAndListen('/api/x', {}, (msg) => got.push(msg.event), { requestId: 'tab1' })
+    await new Promise(r => setTimeout(r, 30))
+    assert(a.es && !b.es && sseConnects === 1, 'only leader holds the stream and connects for follower demand')
+    a.routeMessage({ requestId: 'tab1', event: 'progress' })
+    await new Promise(r => setTimeout(r, 10))
+    assert(got.join(',') === 'progress', 'leader relays messages to follower listeners')
+
+    a.destroy()
+    await new Promise(r => setTimeout(r, 40))
+    assert(b.getConnectionInfo().tabRole === 'leader' && b.es && sseConnects === 2, 'follower takes over when leader closes')
+    b.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testEnvironmentOverrides() {
+  const timers = []
+  const activity = []
+  let online
+  const env = {
+    setTimeout: (fn, ms) => { timers.push(ms); return setTimeout(fn, ms) },
+    onActivity: (fn) => { activity.push(fn); return () => activity.splice(activity.indexOf(fn), 1) },
+    onNetworkChange: (h) => { online = h.online; return () => { online = undefined } },
+    fetch: async () => ({ ok: true, status: 204, statusText: 'No Content' }),
+  }
+  const client = new SSEClient({ url: 'mock://sse', env, defaultTimeout: 1234 })
+  assert(activity.length === 1 && typeof online === 'function', 'env provides activity and network signals')
+  const { response } = await client.postAndListen('/api/x', {}, () => {})
+  assert(response.status === 204 && timers.includes(1234), 'env provides fetch and timers')
+  client.destroy()
+  assert(activity.length === 0 && online === undefined, 'destroy releases env subscriptions')
+
+  const savedWindow = globalThis.window
+  delete globalThis.window
+  try {
+    const headless = new SSEClient({ url: 'mock://sse' })
+    assert(typeof headless.createRequestId() === 'string', 'client constructs without window')
+    headless.destroy()
+  } finally {
+    globalThis.window = savedWindow
+  }
+}
+
+async function testLoggerLevels() {
+  const entries = []
+  const client = new SSEClient({ url: 'mock://sse', logLevel: 'info', logger: (e) => entries.push(e) })
+  client.connect()
+  client.connect()
+  const started = entries.find(e => e.message === '开始建立连接')
+  assert(started && started.level === 'info' && started.fields.reason === 'manual connect' && started.fields.url === 'mock://sse' && started.fields.attempts === 0, 'logger receives structured info entries')
+  assert(!entries.some(e => e.level === 'debug'), 'logger filters entries below level')
+  client.close('test')
+  assert(entries.some(e => e.message === '关闭连接' && e.fields.reason === 'test'), 'close goes through logger')
+
+  const calls = []
+  const quiet = new SSEClient({ url: 'mock://sse', logLevel: 'silent', logger: { info: () => calls.push('info'), warn: () => calls.push('warn') } })
+  quiet.connect()
+  quiet.close()
+  assert(calls.length === 0, 'silent level suppresses all output')
+  quiet.updateConfig({ logLevel: 'debug' })
+  quiet.connect()
+  assert(calls.includes('info'), 'updateConfig switches log level')
+  quiet.destroy()
+  client.destroy()
+}
+
+async function testLifecycleEvents() {
+  const origFetch = globalThis.fetch
+  globalThis.fetch = async (url) => url === 'mock://life'
+    ? streamResponse(['data: {}\n\n'])
+    : { ok: true, status: 200, statusText: 'OK' }
+  try {
+    const client = new SSEClient({
+      url: 'mock://life', transport: 'fetch', logLevel: 'silent',
+      reconnectBackoff: { baseMs: 4000, maxMs: 4000, factor: 1, jitter: 0 },
+    })
+    const seen = []
+    const states = []
+    let reconnecting
+    client.on('statechange', (e) => states.push(`${e.previous}->${e.state}`))
+    client.on('open', () => seen.push('open'))
+    client.on('error', (e) => seen.push(`error:${e.reason}`))
+    client.on('close', (e) => seen.push(`close:${e.reason}`))
+    const off = client.on('reconnecting', (e) => { reconnecting = e })
+    client.on('open', () => { throw new Error('handler failure is isolated') })
+    client.connect()
+    await new Promise(r => setTimeout(r, 20))
+    assert(seen.join(',') === 'open,error:sse error,close:sse error', 'lifecycle emits open, error and close')
+    assert(states.join(',') === 'disconnected->connecting,connecting->connected,connected->error,error->disconnected', 'statechange reports previous and next state')
+    assert(reconnecting && reconnecting.delay === 4000 && reconnecting.attempt === 1 && reconnecting.reason === 'sse error', 'reconnecting carries backoff delay')
+    off()
+    client.destroy()
+
+    const hb = new SSEClient({ url: 'mock://sse', withHeartbeat: true, expectedPingInterval: 1, logLevel: 'silent' })
+    let timeout
+    hb.on('heartbeat-timeout', (e) => { timeout = e })
+    hb.connect()
+    hb.lastHeartbeatAt = hb.lastMessageAt = Date.now() - 10
+    hb.checkHeartbeat()
+    assert(timeout && timeout.expected === 2 && timeout.since >= 10, 'heartbeat-timeout emitted before reconnect')
+    hb.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testUnroutedBuffer() {
+  const client = new SSEClient({ url: 'mock://sse', unroutedBufferSize: 3, unroutedBufferTTL: 30, logLevel: 'silent' })
+  client.dispatch({ requestId: 'late', event: 'progress', payload: 1 })
+  client.dispatch({ requestId: 'other', event: 'progress' })
+  client.dispatch({ requestId: 'late', event: 'progress', payload: 2 })
+  assert(client.getConnectionInfo().unroutedCount === 3, 'unrouted messages are buffered')
+  const got = []
+  const handle = client.listen('late', (msg) => got.push(msg.payload))
+  assert(got.join(',') === '1,2' && client.unrouted.length === 1, 'buffered messages flushed in order on listen()')
+  client.dispatch({ requestId: 'late', event: 'done', payload: 3 })
+  assert(got.join(',') === '1,2,3' && !client.listeners.has('late'), 'listen() receives live messages until done')
+  handle.unsubscribe()
+
+  for (let i = 0; i < 5; i++) client.dispatch({ requestId: `x${i}`, event: 'progress' })
+  assert(client.unrouted.length === 3 && client.unrouted[0].requestId === 'x2', 'buffer evicts oldest beyond size limit')
+  await new Promise(r => setTimeout(r, 40))
+  let stale = 0
+  client.listen('x4', () => stale++)
+  assert(stale === 0 && client.unrouted.length === 0, 'buffered messages expire after TTL')
+
+  const off = new SSEClient({ url: 'mock://sse', unroutedBufferSize: 0 })
+  off.dispatch({ requestId: 'z', event: 'progress' })
+  assert(off.unrouted.length === 0, 'unroutedBufferSize 0 disables buffering')
+  off.destroy()
+  client.destroy()
+}
+
+async function testOrderedDelivery() {
+  const client = new SSEClient({ url: 'mock://sse', logLevel: 'silent' })
+  const got = []
+  client.listen('o1', (msg) => got.push(msg.event === 'gap' ? `gap:${msg.missing.join('|')}` : `${msg.event}:${msg.seq ?? ''}`), { ordered: true, orderTimeout: 20 })
+  client.dispatch({ requestId: 'o1', event: 'progress', seq: 2, total: 5 })
+  client.dispatch({ requestId: 'o1', event: 'progress', seq: 3 })
+  assert(got.length === 0 && client.getProgress('o1').held === 2, 'ordered mode holds out-of-order messages')
+  client.dispatch({ requestId: 'o1', event: 'progress', seq: 1 })
+  assert(got.join(',') === 'progress:1,progress:2,progress:3', 'ordered mode releases messages by seq')
+  const p = client.getProgress('o1')
+  assert(p.seq === 3 && p.total === 5 && p.held === 0, 'getProgress exposes seq/total')
+  client.dispatch({ requestId: 'o1', event: 'progress', seq: 2 })
+  client.dispatch({ requestId: 'o1', event: 'done' })
+  client.dispatch({ requestId: 'o1', event: 'progress', seq: 5 })
+  assert(got.length === 3, 'duplicates dropped and done waits for the sequence')
+  await new Promise(r => setTimeout(r, 40))
+  assert(got.join(',') === 'progress:1,progress:2,progress:3,gap:4,progress:5,done:', 'gap reported after orderTimeout then remaining messages delivered')
+  assert(!client.listeners.has('o1'), 'ordered listener removed after done')
+
+  const w = []
+  client.listen('o2', (msg) => w.push(msg.event === 'gap' ? `gap:${msg.expected}->${msg.received}` : msg.seq), { ordered: true, orderWindow: 2, orderTimeout: 10_000 })
+  client.dispatch({ requestId: 'o2', event: 'progress', seq: 3 })
+  client.dispatch({ requestId: 'o2', event: 'progress', seq: 4 })
+  client.dispatch({ requestId: 'o2', event: 'progress', seq: 5 })
+  assert(w.join(',') === 'gap:1->3,3,4,5', 'gap reported immediately when orderWindow overflows')
+  client.dispatch({ requestId: 'o2', event: 'done', seq: 6 })
+  client.destroy()
+}
+
+async function testTopicSubscriptions() {
+  const hooks = []
+  const client = new SSEClient({
+    url: 'mock://sse', topicField: 'meta.topic', idleTimeout: 20, logLevel: 'silent',
+    onTopicSubscribe: (t) => hooks.push(`+${t}`),
+    onTopicUnsubscribe: async (t) => { hooks.push(`-${t}`); throw new Error('ignored') },
+  })
+  const a = []
+  const b = []
+  const offA = client.subscribe('orders.*', (msg) => a.push(msg.meta.topic))
+  const offA2 = client.subscribe('orders.*', (msg) => a.push(`dup:${msg.meta.topic}`))
+  const offB = client.subscribe('orders.eu.created', (msg) => b.push(msg.meta.topic))
+  assert(hooks.join(',') === '+orders.*,+orders.eu.created', 'subscribe hook called once per pattern')
+  assert(client.es, 'topic subscription triggers connection')
+  client.dispatch({ event: 'notify', meta: { topic: 'orders.created' } })
+  client.dispatch({ event: 'notify', meta: { topic: 'orders.eu.created' } })
+  client.dispatch({ event: 'notify', meta: { topic: 'users.created' } })
+  client.dispatch({ requestId: 'r', event: 'notify', meta: { topic: 'orders.created' } })
+  assert(a.join(',') === 'orders.created,dup:orders.created', 'wildcard * matches exactly one segment')
+  assert(b.join(',') === 'orders.eu.created', 'exact topic match')
+  offA()
+  assert(!hooks.includes('-orders.*'), 'pattern stays subscribed while referenced')
+  offA2()
+  offA2()
+  assert(hooks.includes('-orders.*'), 'unsubscribe hook called when last reference released')
+  offB()
+  await new Promise(r => setTimeout(r, 40))
+  assert(!client.es, 'checkIdle closes connection when no topic subscriptions remain')
+  client.destroy()
+
+  const matches = (pattern, topic) => compileTopicPattern(pattern).test(topic)
+  assert(matches('**.b', 'b') && matches('**.b', 'a.b') && matches('**.b', 'x.y.b') && !matches('**.b', 'ab'), 'leading ** matches zero or more segments')
+  assert(matches('a.**', 'a') && matches('a.**', 'a.b.c') && matches('a.**.b', 'a.b') && matches('a.**.b', 'a.x.y.b'), 'trailing and inner ** match zero or more segments')
+  assert(matches('**.**.b', 'b') && !matches('*.b', 'b'), 'repeated ** collapses; * still needs one segment')
+}
+
+async function testMultipleEventTypes() {
+  const client = new SSEClient({
+    url: 'mock://sse', logLevel: 'silent',
+    eventName: { progress: null, complete: 'done', notify: undefined },
+  })
+  const got = []
+  const broadcasts = []
+  await client.postAndListen('/api/x', {}, (msg) => got.push(msg.event), { requestId: 'm1' })
+  client.onBroadcast((msg) => broadcasts.push(msg.event))
+  await new Promise(r => setTimeout(r, 0))
+  assert(['progress', 'complete', 'notify'].every(t => client.es.handlers.has(t)), 'listens to every configured SSE event type')
+  client.es.dispatch('progress', JSON.stringify({ requestId: 'm1' }))
+  client.es.dispatch('notify', JSON.stringify({ requestId: 'm1', event: 'progress' }))
+  client.es.dispatch('complete', JSON.stringify({ requestId: 'm1' }))
+  assert(got.join(',') === 'progress,progress,done', 'SSE types mapped to logical events')
+  assert(!client.listeners.has('m1'), 'mapped done completes the request')
+  client.es.dispatch('notify', JSON.stringify({ hello: 1 }))
+  assert(broadcasts.join(',') === 'notify', 'unmapped type falls back to SSE type name')
+  client.destroy()
+
+  const list = new SSEClient({ url: 'mock://sse', eventName: ['message', 'done'] })
+  list.connect()
+  assert(list.es.handlers.has('message') && list.es.handlers.has('done'), 'eventName accepts an array')
+  list.destroy()
+}
+
+async function testDecoders() {
+  const decodeErrors = []
+  const client = new SSEClient({
+    url: 'mock://sse', logLevel: 'silent',
+    onDecodeError: (err, frame) => decodeErrors.push(frame),
+  })
+  const got = []
+  client.onBroadcast((msg) => got.push(msg))
+  await new Promise(r => setTimeout(r, 0))
+  client.es.dispatch('message', 'not json')
+  client.es.dispatch('message', '')
+  client.es.dispatch('message', JSON.stringify({ ok: 1 }))
+  assert(decodeErrors.length === 1 && decodeErrors[0].data === 'not json' && decodeErrors[0].type === 'message', 'malformed JSON reaches onDecodeError with the raw frame')
+  assert(got.length === 1 && got[0].ok === 1, 'empty keep-alive data is ignored, valid JSON routed')
+
+  client.updateConfig({ decoder: 'text' })
+  client.es.dispatch('message', 'plain text')
+  assert(got[1] && got[1].payload === 'plain text' && got[1].event === 'message', 'text decoder puts raw data in payload')
+
+  client.updateConfig({ decoder: 'ndjson' })
+  client.es.dispatch('message', '{"n":1}\n{"n":2}')
+  assert(got.slice(2).map(m => m.n).join(',') === '1,2', 'ndjson decoder yields one message per line')
+
+  client.updateConfig({ decoder: (data, frame) => (data === 'skip' ? null : { payload: data.split(','), type: frame.type }) })
+  client.es.dispatch('message', 'skip')
+  client.es.dispatch('message', 'a,b')
+  assert(got.length === 5 && got[4].payload.length === 2, 'custom decoder can skip or transform frames')
+  client.destroy()
+
+  let threw = false
+  try { new SSEClient({ url: 'mock://sse', decoder: 'xml' }) } catch (_) { threw = true }
+  assert(threw, 'unknown decoder name is rejected')
+}
+
+async function testMiddleware() {
+  const realFetch = globalThis.fetch
+  const calls = []
+  let status = 503
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init })
+    const res = { ok: status < 400, status, statusText: '' }
+    status = 200
+    return res
+  }
+  const audit = []
+  const client = new SSEClient({
+    url: 'mock://sse', logLevel: 'silent',
+    middleware: [{ onRequest: (ctx) => { ctx.init.headers['X-Tenant'] = 't1' } }],
+  })
+  client.use({
+    onRequest: (ctx) => ({ url: ctx.url + '?v=2' }),
+    onResponse: (res, ctx) => (res.status === 503 && ctx.attempt === 0 ? ctx.retry() : undefined),
+  })
+  client.use({ onMessage: (msg) => (msg.payload && msg.payload.data ? { ...msg, payload: msg.payload.data } : msg) })
+  const removeAudit = client.use({ onMessage: (msg) => { audit.push(msg.event); return msg.event === 'secret' ? null : undefined } })
+
+  const got = []
+  const { response } = await client.postAndListen('/api/x', {}, (msg) => got.push(msg), { requestId: 'mw1' })
+  assert(calls.length === 2 && calls[1].url === '/api/x?v=2', 'onResponse can retry the rewritten request')
+  assert(calls[0].init.headers['X-Tenant'] === 't1', 'onRequest can rewrite fetch init')
+  assert(response.status === 200, 'retried response is returned to the caller')
+
+  await new Promise(r => setTimeout(r, 0))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'mw1', event: 'secret' }))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'mw1', event: 'progress', payload: { data: 7 } }))
+  assert(got.length === 1 && got[0].payload === 7, 'onMessage can transform and veto messages')
+  assert(audit.join(',') === 'secret,progress', 'middleware runs in registration order')
+
+  removeAudit()
+  client.es.dispatch('message', JSON.stringify({ requestId: 'mw1', event: 'secret' }))
+  assert(got.length === 2, 'removed middleware no longer applies')
+
+  let threw = false
+  try { client.use({}) } catch (_) { threw = true }
+  assert(threw, 'use() rejects objects without hooks')
+  client.destroy()
+  globalThis.fetch = realFetch
+}
+
+async function testTokenProvider() {
+  const origFetch = globalThis.fetch
+  const seen = []
+  globalThis.fetch = async (url, init) => {
+    const auth = init.headers && init.headers['Authorization']
+    seen.push(`${url} ${auth}`)
+    if (auth !== 'Bearer t2' && auth !== 'Bearer t3') return streamResponse([], { status: 401 })
+    if (String(url).startsWith('mock://auth')) return streamResponse([': ok\n\n'], { keepOpen: true })
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  try {
+    let current = 't1'
+    const calls = []
+    const provider = async ({ refresh }) => {
+      calls.push(refresh)
+      if (refresh) current = 't2'
+      return current
+    }
+    const client = new SSEClient({
+      url: 'mock://auth', transport: 'fetch', token: provider, logLevel: 'silent',
+      reconnectBackoff: { baseMs: 10_000, maxMs: 10_000, factor: 1, jitter: 0 },
+    })
+    client.connect()
+    await new Promise(r => setTimeout(r, 20))
+    assert(client.connectionState === 'connected', 'SSE handshake 401 refreshes the token and retries once')
+    assert(seen.join('|') === 'mock://auth Bearer t1|mock://auth Bearer t2', 'token provider resolved before each connect')
+    assert(calls.join(',') === 'false,true', 'provider asked to refresh after 401')
+
+    current = 't1'
+    seen.length = 0
+    const { response } = await client.postAndListen('/api/auth', {}, () => {}, { requestId: 'a1' })
+    assert(response.status === 200 && seen.join('|') === '/api/auth Bearer t1|/api/auth Bearer t2', 'POST 401 refreshes the token and retries once')
+
+    seen.length = 0
+    client.updateConfig({ token: 't3' })
+    await new Promise(r => setTimeout(r, 10))
+    assert(seen[0] === 'mock://auth Bearer t3' && client.connectionState === 'connected', 'updateConfig({ token }) rebuilds the connection')
+    client.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testPostRetry() {
+  const origFetch = globalThis.fetch
+  const attempts = []
+  const replies = [
+    () => { throw new TypeError('network down') },
+    () => ({ ok: false, status: 503, statusText: '', headers: new Headers({ 'Retry-After': '0' }) }),
+    () => ({ ok: true, status: 200, statusText: 'OK' }),
+  ]
+  globalThis.fetch = async (url, init) => {
+    attempts.push(init.headers['Idempotency-Key'])
+    return replies[attempts.length - 1]()
+  }
+  try {
+    const client = new SSEClient({
+      url: 'mock://sse', logLevel: 'silent',
+      postRetry: { attempts: 3, baseMs: 5, maxMs: 5, jitter: 0 },
+    })
+    const { response } = await client.postAndListen('/api/retry', {}, () => {}, { requestId: 'idem-1' })
+    assert(response.status === 200 && attempts.length === 3, 'POST retried after network error and retryable status')
+    assert(attempts.every(k => k === 'idem-1'), 'requestId sent as Idempotency-Key on every attempt')
+    assert(client.listeners.has('idem-1'), 'listener kept across retries')
+
+    attempts.length = 0
+    replies.splice(0, replies.length, () => ({ ok: false, status: 400, statusText: '' }))
+    const bad = await client.postAndListen('/api/retry', {}, () => {}, { requestId: 'idem-2' })
+    assert(bad.response.status === 400 && attempts.length === 1 && !client.listeners.has('idem-2'), 'non-retryable status is not retried')
+
+    attempts.length = 0
+    replies.splice(0, replies.length, () => { throw new TypeError('offline') }, () => { throw new TypeError('offline') })
+    let err
+    try { await client.postAndListen('/api/retry', {}, () => {}, { requestId: 'idem-3', retry: 1 }) } catch (e) { err = e }
+    assert(err && attempts.length === 2 && !client.listeners.has('idem-3'), 'per-call retry count overrides policy and rethrows when exhausted')
+
+    attempts.length = 0
+    replies.splice(0, replies.length, () => ({ ok: true, status: 200, statusText: 'OK' }))
+    await client.postAndListen('/api/retry', {}, () => {}, { requestId: 'idem-4', retry: false })
+    assert(attempts[0] === 'idem-4', 'Idempotency-Key sent even when retries are disabled')
+    client.destroy()
+
+    attempts.length = 0
+    const plain = new SSEClient({ url: 'mock://sse', logLevel: 'silent', postRetry: { idempotencyHeader: false } })
+    await plain.postAndListen('/api/retry', {}, () => {}, { requestId: 'idem-5' })
+    assert(attempts.length === 1 && attempts[0] === undefined, 'idempotencyHeader: false omits the header')
+    plain.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testCancel() {
+  const origFetch = globalThis.fetch
+  const cancelCalls = []
+  globalThis.fetch = async (url, init) => {
+    if (url === '/api/cancel') {
+      cancelCalls.push(JSON.parse(init.body).requestId)
+      return { ok: true, status: 204, statusText: '' }
+    }
+    if (url === '/api/slow') {
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason))
+      })
+    }
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  try {
+    const client = new SSEClient({ url: 'mock://sse', logLevel: 'silent', cancelUrl: '/api/cancel' })
+    const got = []
+    await client.postAndListen('/api/x', {}, (msg) => got.push(msg), { requestId: 'c1' })
+    const res = await client.cancel('c1', 'user stop')
+    assert(got.length === 1 && got[0].event === 'cancelled' && got[0].reason === 'user stop', 'cancel() delivers a local cancelled event')
+    assert(!client.listeners.has('c1') && cancelCalls.join() === 'c1' && res.status === 204, 'cancel() removes the listener and calls cancelUrl')
+
+    // AbortSignal after the POST: cancels the whole task
+    const ctrl = new AbortController()
+    const events = []
+    await client.postAndListen('/api/x', {}, (msg) => events.push(msg.event), { requestId: 'c2', signal: ctrl.signal })
+    ctrl.abort()
+    await new Promise(r => setTimeout(r, 0))
+    assert(events.join() === 'cancelled' && !client.listeners.has('c2') && cancelCalls.join() === 'c1,c2', 'abort signal cancels the task server-side')
+
+    // Signal combines with the internal timeout instead of replacing it
+    const never = new AbortController()
+    let timedOut
+    try {
+      await client.postAndListen('/api/slow', {}, () => {}, { requestId: 'c3', timeout: 20, signal: never.signal })
+    } catch (e) { timedOut = e }
+    assert(timedOut && !client.listeners.has('c3'), 'timeout still applies when a signal is passed')
+
+    // cancel() while the POST is in flight aborts it
+    const pending = client.postAndListen('/api/slow', {}, () => {}, { requestId: 'c4', timeout: 5000 })
+    await new Promise(r => setTimeout(r, 0))
+    client.cancel('c4')
+    let aborted
+    try { await pending } catch (e) { aborted = e }
+    assert(aborted && aborted.name === 'AbortError' && !client.inflight.has('c4'), 'cancel() aborts an in-flight POST')
+
+    // finished tasks are not cancelled again when their signal aborts later
+    const late = new AbortController()
+    await client.postAndListen('/api/x', {}, () => {}, { requestId: 'c5', signal: late.signal })
+    client.dispatch({ requestId: 'c5', event: 'done' })
+    late.abort()
+    await new Promise(r => setTimeout(r, 0))
+    assert(!cancelCalls.includes('c5'), 'completed task ignores later abort')
+
+    // a long-lived signal keeps no callbacks for requests that have ended
+    const shared = new AbortController()
+    const opts = (requestId) => ({ requestId, signal: shared.signal })
+    await client.postAndListen('/api/x', {}, () => {}, opts('s1'))
+    client.dispatch({ requestId: 's1', event: 'done' })
+    const h2 = await client.postAndListen('/api/x', {}, () => {}, opts('s2'))
+    h2.unsubscribe()
+    client.listen('s3', () => {}, opts('s3')).unsubscribe()
+    await client.postAndListen('/api/x', {}, () => {}, opts('s4'))
+    await client.cancel('s4')
+    await client.postAndListen('/api/x', {}, () => {}, { ...opts('s5'), streamTimeout: 10 })
+    await new Promise(r => setTimeout(r, 30))
+    assert(!client.listeners.has('s5') && getEventListeners(shared.signal, 'abort').length === 0, 'signal listeners released when requests end')
+    await client.postAndListen('/api/x', {}, () => {}, opts('s6'))
+    assert(getEventListeners(shared.signal, 'abort').length === 1, 'active request keeps its signal listener')
+    client.destroy()
+    assert(getEventListeners(shared.signal, 'abort').length === 0, 'destroy releases signal listeners')
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testOfflineOutbox() {
+  const origFetch = globalThis.fetch
+  let online = false
+  let network
+  const sent = []
+  globalThis.fetch = async (url, init) => {
+    if (!online) throw new TypeError('Failed to fetch')
+    sent.push(JSON.parse(init.body).requestId)
+    return { ok: true, status: 200, statusText: 'OK' }
+  }
+  const store = new Map()
+  const storage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, v),
+    removeItem: (k) => store.delete(k),
+  }
+  try {
+    const env = {
+      isOnline: () => online,
+      onNetworkChange: (handlers) => { network = handlers; return () => {} },
+    }
+    const client = new SSEClient({ url: 'mock://sse', logLevel: 'silent', outbox: { storage }, env })
+    const p1 = client.postAndListen('/api/task', { n: 1 }, () => {}, { requestId: 'o1', headers: { 'X-A': '1' } })
+    const p2 = client.postAndListen('/api/task', { n: 2 }, () => {}, { requestId: 'o2' })
+    const p3 = client.postAndListen('/api/task', { n: 3 }, () => {}, { requestId: 'o3' })
+    await new Promise(r => setTimeout(r, 0))
+    assert(client.getOutbox().map(e => e.requestId).join() === 'o1,o2,o3', 'offline requests are queued in order')
+    const persisted = JSON.parse(store.get('vsse:outbox'))
+    assert(persisted.length === 3 && persisted[0].options.headers['X-A'] === '1', 'outbox persisted to storage')
+
+    client.cancel('o3')
+    let cancelled
+    try { await p3 } catch (e) { cancelled = e }
+    assert(cancelled && cancelled.name === 'AbortError' && client.getOutbox().length === 2, 'cancel() removes a queued request')
+
+    online = true
+    network.online()
+    const [r1, r2] = await Promise.all([p1, p2])
+    assert(sent.join() === 'o1,o2' && r1.response.status === 200 && r2.requestId === 'o2', 'queued requests replay in order and resolve callers')
+    assert(client.getOutbox().length === 0 && !store.has('vsse:outbox'), 'outbox drained after delivery')
+    client.destroy()
+
+    // Persisted entries from a previous session replay on start
+    online = false
+    const first = new SSEClient({ url: 'mock://sse', logLevel: 'silent', outbox: { storage }, env })
+    first.postAndListen('/api/task', {}, () => {}, { requestId: 'o4' }).catch(() => {})
+    await new Promise(r => setTimeout(r, 0))
+    first.destroy()
+    online = true
+    sent.length = 0
+    const second = new SSEClient({ url: 'mock://sse', logLevel: 'silent', outbox: { storage }, env })
+    await new Promise(r => setTimeout(r, 10))
+    assert(sent.join() === 'o4' && second.getConnectionInfo().outboxSize === 0, 'persisted outbox replays after reload')
+    second.destroy()
+  } finally {
+    globalThis.fetch = origFetch
+  }
+}
+
+async function testHiddenTabPolicy() {
+  let hidden = false
+  let onVisibility
+  const client = new SSEClient({
+    url: 'mock://sse', logLevel: 'silent', closeWhenHidden: true, hiddenGrace: 20, resumeMode: 'query',
+    env: {
+      isHidden: () => hidden,
+      onVisibilityChange: (fn) => { onVisibility = fn; return () => {} },
+    },
+  })
+  client._minConnectInterval = 0
+  client.onBroadcast(() => {})
+  await new Promise(r => setTimeout(r, 0))
+  assert(client.es, 'broadcast listener connects')
+
+  hidden = true
+  onVisibility(true)
+  await new Promise(r => setTimeout(r, 5))
+  assert(client.es, 'stream kept during the grace period')
+  await new Promise(r => setTimeout(r, 30))
+  assert(!client.es && client.connectionState === 'disconnected', 'hidden tab with only broadcast listeners closes after grace')
+  client.maybeConnect('activity')
+  assert(!client.es, 'activity does not reconnect while hidden')
+
+  await client.postAndListen('/api/x', {}, () => {}, { requestId: 'h1' })
+  assert(client.es, 'pending request reconnects even while hidden')
+  await new Promise(r => setTimeout(r, 30))
+  assert(client.es, 'stream kept open while a request listener is pending')
+  client.dispatch({ requestId: 'h1', event: 'done' })
+  await new Promise(r => setTimeout(r, 30))
+  assert(!client.es, 'stream closes again after the request completes')
+
+  client.lastEventId = 'e7'
+  hidden = false
+  onVisibility(false)
+  assert(client.es && client.es.url.includes('lastEventId=e7'), 'visible tab reconnects with resume')
+  client.destroy()
+}
+
+async function testSharedClientRegistry() {
+  const manager = new SSEManager({ createClient: (opts) => new SSEClient(opts) })
+  const onEvent = () => {}
+  const a = manager.getClient('HTTP://Example.com/sse?b=2&a=1#x', { eventName: 'notify', logLevel: 'silent', onDecodeError: onEvent })
+  const b = manager.getClient('http://example.com/sse?a=1&b=2', { logLevel: 'silent', eventName: 'notify', onDecodeError: onEvent })
+  const c = manager.getClient('http://example.com/sse?a=1&b=2', { eventName: 'message', logLevel: 'silent' })
+  const d = manager.getClient('/sse', { logLevel: 'silent' })
+  assert(a === b, 'same normalized url and options share one client')
+  assert(a !== c, 'different options get a separate client')
+  assert(a.opts.url === 'HTTP://Example.com/sse?b=2&a=1#x' && d.opts.url === '/sse', 'client keeps the url it was created with')
+  assert(manager.size === 3 && manager.inspect(a).refs === 2, 'registry tracks references')
+  assert(manager.list().every(e => e.info && typeof e.info.state === 'string'), 'list() exposes connection info')
+
+  a.onBroadcast(() => {})
+  await new Promise(r => setTimeout(r, 0))
+  const es = a.es
+  manager.release(a)
+  assert(manager.inspect(a).refs === 1 && !es.closed, 'client survives while holders remain')
+  manager.release(b)
+  assert(!manager.inspect(a) && es.closed && manager.size === 2, 'last release destroys the client')
+  assert(manager.release(a) === false, 'releasing an unknown client is a no-op')
+  manager.destroyAll()
+  assert(manager.size === 0, 'destroyAll clears the registry')
+}
+
+async function testMetrics() {
+  const reports = []
+  const client = new SSEClient({
+    url: 'mock://sse', logLevel: 'silent', unroutedBufferSize: 1,
+    metricsInterval: 10, onMetrics: (m) => reports.push(m),
+  })
+  client.use({ onMessage: (msg) => (msg.event === 'drop' ? null : msg) })
+  await client.postAndListen('/api/x', {}, () => {}, { requestId: 'm1' })
+  await new Promise(r => setTimeout(r, 15))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'm1', event: 'progress' }))
+  await new Promise(r => setTimeout(r, 10))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'm1', event: 'done' }))
+  client.es.dispatch('message', 'garbage')
+  client.es.dispatch('message', JSON.stringify({ event: 'drop' }))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'late1', event: 'progress' }))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'late2', event: 'progress' }))
+  client.reconnect('manual')
+  client.scheduleReconnect('sse error')
+
+  const m = client.getMetrics()
+  assert(m.latency.firstEvent.count === 1 && m.latency.firstEvent.p50 >= 10, 'POST to first-event latency recorded')
+  assert(m.latency.duration.count === 1 && m.latency.duration.p95 >= 5, 'first-event to done duration recorded')
+  assert(m.requests.started === 1 && m.requests.completed === 1 && m.requests.active === 0, 'request counters')
+  assert(m.reconnects.total === 2 && m.reconnects.byReason.manual === 1 && m.reconnects.byReason['sse error'] === 1, 'reconnects counted by reason')
+  assert(m.messages.total === 5 && m.messages.perSecond > 0, 'message totals and rate')
+  assert(m.dropped.decodeError === 1 && m.dropped.vetoed === 1 && m.dropped.unroutedEvicted === 1, 'dropped messages counted by kind')
+  assert(m.unrouted.buffered === 2 && m.unrouted.pending === 1, 'unrouted counts')
+  assert(reports.length >= 1 && reports[0].requests.started === 1, 'periodic reporter delivers snapshots')
+
+  client.resetMetrics()
+  assert(client.getMetrics().messages.total === 0, 'resetMetrics clears counters')
+  client.destroy()
+  const count = reports.length
+  await new Promise(r => setTimeout(r, 25))
+  assert(reports.length === count, 'reporter stops on destroy')
+}
+
+async function testRecorderReplay() {
+  const client = new SSEClient({ url: 'mock://sse', logLevel: 'silent', record: { size: 50 } })
+  client.use({ onMessage: (msg) => (msg.event === 'noise' ? null : msg) })
+  await client.postAndListen('/api/x', {}, () => {}, { requestId: 'r1' })
+  client.onBroadcast(() => {})
+  await new Promise(r => setTimeout(r, 0))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'r1', event: 'progress', payload: 1 }))
+  client.es.dispatch('message', JSON.stringify({ event: 'notice' }))
+  client.es.dispatch('message', JSON.stringify({ requestId: 'other', event: 'progress' }))
+  client.es.dispatch('message', JSON.stringify({ event: 'noise' }))
+  client.es.dispatch('message', '{broken')
+  client.es.dispatch('message', JSON.stringify({ requestId: 'r1', event: 'done', payload: 2 }))
+  client.close('manual')
+
+  const recording = client.getRecording()
+  const kinds = new Set(recording.entries.map(e => e.kind))
+  assert(['lifecycle', 'frame', 'message', 'route'].every(k => kinds.has(k)), 'recorder captures lifecycle, frames, messages and routing')
+  const decisions = recording.entries.filter(e => e.kind === 'route').map(e => e.decision + (e.reason ? ':' + e.reason : ''))
+  assert(decisions.join(',') === 'listener,broadcast,buffered,dropped:vetoed,dropped:decodeError,listener', 'routing decisions recorded in order')
+  assert(recording.entries.some(e => e.kind === 'lifecycle' && e.type === 'close'), 'lifecycle events recorded')
+  const json = client.exportRecording()
+  client.destroy()
+
+  const replayer = new SSEClient({ url: 'mock://sse', logLevel: 'silent' })
+  const got = []
+  replayer.listen('r1', (msg) => got.push(`${msg.event}:${msg.payload}`))
+  const count = await replayer.replay(json)
+  assert(count === 4 && got.join(',') === 'progress:1,done:2', 'replay feeds recorded messages through dispatch')
+  assert(replayer.getConnectionInfo().unroutedCount === 1, 'replayed messages without a listener are buffered')
+  replayer.destroy()
+
+  const small = new SSEClient({ url: 'mock://sse', logLevel: 'silent', record: { size: 3 } })
+  for (let i = 0; i < 5; i++) small.dispatch({ event: `e${i}` })
+  const kept = small.getRecording().entries
+  assert(kept.length === 3 && kept[2].event === 'e4', 'ring buffer keeps the most recent entries')
+  assert(new SSEClient({ url: 'mock://sse' }).getRecording() === undefined, 'recorder is opt-in')
+  small.destroy()
+
+  let versionError
+  try { await small.replay({ version: 99, entries: [] }) } catch (e) { versionError = e }
+  assert(versionError && /version/.test(versionError.message), 'replay rejects unsupported recording versions')
+}
+
+async function testMockTransportKit() {
+  const t = createTestEnvironment({
+    fetch: (url, init, call) => (call.body.fail ? { status: 503, headers: { 'Retry-After': '2' } } : { status: 202 }),
+  })
+  const client = new SSEClient({
+    url: 'mock://sse',
+    logLevel: 'silent',
+    env: t.env,
+    idleTimeout: 10_000,
+    withHeartbeat: true,
+    expectedPingInterval: 15_000,
+    reconnectBackoff: { baseMs: 1000, maxMs: 8000, factor: 2, jitter: 0 },
+  })
+  const got = []
+  const { requestId } = await client.postAndListen('/api/x', { q: 1 }, (msg) => got.push(msg.event))
+  await t.flush()
+  assert(t.fetch.calls.length === 1 && t.fetch.last().body.q === 1, 'mock fetch records POST bodies')
+  assert(t.connections.length === 1 && client.connectionState === 'connecting', 'mock transport created lazily')
+  t.connection.open().push({ requestId, event: 'progress' }).push({ event: 'ping' })
+  assert(client.connectionState === 'connected' && got.join(',') === 'progress', 'pushed frames are routed to listeners')
+
+  // 退避时序：1000ms、2000ms，open 后重置
+  const delays = []
+  client.on('reconnecting', ({ delay }) => delays.push(delay))
+  t.connection.fail()
+  await t.advance(999)
+  assert(t.connections.length === 1, 'no reconnect before the backoff delay')
+  await t.advance(1)
+  assert(t.connections.length === 2, 'reconnects exactly at the backoff delay')
+  t.connection.end()
+  await t.advance(2000)
+  assert(delays.join(',') === '1000,2000' && t.connections.length === 3, 'backoff grows between failed attempts')
+  t.connection.open()
+
+  // 心跳：2×expectedPingInterval 内无消息即重连
+  await t.advance(30_000)
+  assert(t.connections.length === 3, 'no heartbeat timeout within the window')
+  await t.advance(5_000)
+  assert(client.getMetrics().heartbeatTimeouts === 1, 'heartbeat timeout driven by the fake clock')
+  await t.advance(1000)
+  t.connection.open().push({ requestId, event: 'done' })
+  assert(got.join(',') === 'progress,done', 'stream resumes on the new connection')
+
+  // 空闲关闭
+  const conn = t.connection
+  await t.advance(9_999)
+  assert(!conn.closed, 'idle connection kept until idleTimeout')
+  await t.advance(1)
+  assert(conn.closed && client.connectionState === 'disconnected', 'idle connection closed at idleTimeout')
+
+  // POST 重试按 Retry-After 等待
+  const pending = client.postAndListen('/api/x', { fail: true }, () => {}, { retry: 1 }).catch(e => e)
+  await t.flush()
+  const attempts = t.fetch.calls.length
+  await t.advance(1999)
+  assert(t.fetch.calls.length === attempts, 'POST retry not sent before Retry-After elapses')
+  await t.advance(1)
+  assert(t.fetch.calls.length === attempts + 1, 'POST retry waits for Retry-After on the fake clock')
+  assert((await pending).response.status === 503, 'last response returned after retries are exhausted')
+  client.destroy()
+  assert(t.clock.pending === 0, 'destroy clears all timers')
+
+  // 挂起的 handler：超时、cancel() 与 AbortSignal 均使 POST 以中止结束
+  const hang = createTestEnvironment({ fetch: () => new Promise(() => {}) })
+  const slow = new SSEClient({ url: 'mock://sse', logLevel: 'silent', env: hang.env, defaultTimeout: 1000 })
+  const timedOut = slow.postAndListen('/api/x', {}, () => {}, { retry: false }).catch(e => e)
+  await hang.advance(1000)
+  const timeoutError = await timedOut
+  assert(timeoutError && timeoutError.name === 'AbortError' && slow.listeners.size === 0, 'POST timeout rejects a hanging mock fetch')
+  const cancelled = slow.postAndListen('/api/x', {}, () => {}, { requestId: 'hang-c', retry: false }).catch(e => e)
+  await hang.flush()
+  slow.cancel('hang-c')
+  assert((await cancelled).name === 'AbortError', 'cancel() rejects a hanging mock fetch')
+  const ctrl = new AbortController()
+  const aborted = slow.postAndListen('/api/x', {}, () => {}, { retry: false, signal: ctrl.signal }).catch(e => e)
+  await hang.flush()
+  ctrl.abort()
+  assert((await aborted).name === 'AbortError', 'AbortSignal rejects a hanging mock fetch')
+  slow.destroy()
+}
+
+async function testDefineEvent() {
+  const invalid = []
+  const client = new SSEClient({
+    url: 'mock://sse',
+    logLevel: 'silent',
+    events: { done: (payload) => payload && typeof payload.total === 'number' },
+    onInvalidMessage: (err, msg) => invalid.push({ err, msg }),
+  }).defineEvent('progress', {
+    type: 'object',
+    required: ['percent'],
+    properties: { percent: { type: 'integer', minimum: 0, maximum: 100 }, step: { type: 'string', enum: ['fetch', 'plan'] } },
+  })
+  const got = []
+  await client.postAndListen('/api/x', {}, (msg) => got.push(`${msg.event}:${JSON.stringify(msg.payload)}`), { requestId: 'r1' })
+  const broadcasts = []
+  client.onBroadcast((msg) => broadcasts.push(msg.event))
+  await new Promise(r => setTimeout(r, 0))
+  const push = (msg) => client.es.dispatch('message', JSON.stringify(msg))
+  push({ requestId: 'r1', event: 'progress', payload: { percent: 10, step: 'fetch' } })
+  push({ requestId: 'r1', event: 'progress', payload: { precent: 20 } })
+  push({ requestId: 'r1', event: 'progress', payload: { percent: 101, step: 'other' } })
+  push({ event: 'progress', payload: 'oops' })
+  push({ event: 'notice', payload: 'anything' })
+  push({ requestId: 'r1', event: 'done', payload: { total: '3' } })
+  push({ requestId: 'r1', event: 'done', payload: { total: 3 } })
+
+  assert(got.join(',') === 'progress:{"percent":10,"step":"fetch"},done:{"total":3}', 'only valid messages reach request listeners')
+  assert(broadcasts.join(',') === 'notice', 'undefined events pass through; invalid broadcasts dropped')
+  assert(invalid.length === 4 && invalid.every(({ err }) => err.code === 'INVALID_MESSAGE'), 'invalid messages routed to onInvalidMessage')
+  assert(invalid[0].err.errors.join() === 'payload.percent: is required', 'missing required field reported with path')
+  assert(invalid[1].err.errors.length === 2 && invalid[1].msg.requestId === 'r1', 'range and enum violations both reported')
+  assert(invalid[2].err.errors[0] === 'payload: expected object, got string', 'type mismatch reported')
+  assert(invalid[3].err.event === 'done', 'predicate validators reject falsy results')
+  assert(client.getMetrics().dropped.invalid === 4, 'invalid messages counted in metrics')
+
+  client.defineEvent('progress', null)
+  client.dispatch({ event: 'progress', payload: 'oops' })
+  assert(broadcasts.length === 2, 'defineEvent(name, null) removes the validator')
+  let threw = false
+  try { client.defineEvent('x', 42) } catch { threw = true }
+  assert(threw, 'defineEvent rejects unsupported validators')
+  client.destroy()
+}
+
+async function testHeadlessTokenHeader() {
+  let auth
+  const server = createServer((req, res) => {
+    auth = req.headers.authorization
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    res.write(':ok\n\n')
+  })
+  await new Promise(r => server.listen(0, '127.0.0.1', r))
+  const savedWindow = globalThis.window
+  const savedEventSource = globalThis.EventSource
+  delete globalThis.window
+  // 宿主提供的原生 EventSource（不支持 headers）不应被默认选用
+  globalThis.EventSource = class NativeEventSource {
+    addEventListener() {}
+    close() {}
+  }
+  let client
+  try {
+    client = new BaseSSEClient({ url: `http://127.0.0.1:${server.address().port}/sse`, token: 'tok-1', logLevel: 'silent' })
+    client.connect()
+    assert(client.es instanceof EventSourcePolyfill, 'headless client defaults to EventSourcePolyfill')
+    for (let i = 0; i < 100 && auth === undefined; i++) await new Promise(r => setTimeout(r, 10))
+    assert(auth === 'Bearer tok-1', 'headless client with token sends Authorization')
+  } finally {
+    if (client) client.destroy()
+    globalThis.window = savedWindow
+    globalThis.EventSource = savedEventSource
+    server.closeAllConnections()
+    await new Promise(r => server.close(r))
+  }
+}
+
+async function testOutboxFakeClock() {
+  const t = createTestEnvironment({ now: 0, online: false })
+  const client = new BaseSSEClient({ url: 'mock://sse', logLevel: 'silent', env: t.env, outbox: { ttl: 60_000 } })
+  const sent = client.postAndListen('/api/a', { n: 1 }, () => {}, { requestId: 'fa' })
+  await t.flush()
+  assert(client.getOutbox().length === 1 && t.fetch.calls.length === 0, 'offline POST queued under the fake clock')
+  await t.advance(30_000)
+  t.setOnline(true)
+  await t.flush()
+  const { response } = await sent
+  assert(response.status === 200 && t.fetch.calls.length === 1, 'queued POST replayed within ttl on the fake clock')
+  assert(t.fetch.calls[0].init.headers['Idempotency-Key'] === 'fa', 'outbox replay carries Idempotency-Key')
+
+  t.setOnline(false)
+  const expired = client.postAndListen('/api/b', {}, () => {}, { requestId: 'fb' }).catch(e => e)
+  await t.flush()
+  await t.advance(60_001)
+  t.setOnline(true)
+  const err = await expired
+  assert(err instanceof Error && /expired/.test(err.message) && t.fetch.calls.length === 1, 'outbox ttl measured with env.now()')
+  client.destroy()
+}
+
+async function testMetricsServerEventsOnly() {
+  const t = createTestEnvironment()
+  const client = new BaseSSEClient({
+    url: 'mock://sse', logLevel: 'silent', env: t.env, notifyReconnect: true,
+    reconnectBackoff: { baseMs: 1000, maxMs: 1000, factor: 1, jitter: 0 },
+  })
+  const got = []
+  const { requestId } = await client.postAndListen('/api/x', {}, (msg) => got.push(msg.event))
+  await t.flush()
+  t.connection.open()
+  await t.advance(100)
+  t.connection.fail()
+  await t.advance(1000)
+  t.connection.open()
+  await t.advance(3900)
+  t.connection.push({ requestId, event: 'progress' })
+  assert(got.join(',') === 'reconnecting,resumed,progress', 'synthetic reconnect events still delivered')
+  assert(client.getMetrics().latency.firstEvent.p50 === 5000, 'firstEvent latency measured from the first server message')
+
+  const { unsubscribe } = await client.postAndListen('/api/y', {}, () => {})
+  assert(client.getMetrics().requests.active === 2, 'POSTs in progress are tracked')
+  unsubscribe()
+  assert(client.getMetrics().requests.active === 1, 'postAndListen unsubscribe() releases the tracked request')
+  const handle = client.listen('side', () => {})
+  client.dispatch({ requestId: 'side', event: 'progress' })
+  assert(client.getMetrics().requests.active === 2, 'listen() requests tracked once messages arrive')
+  handle.unsubscribe()
+  assert(client.getMetrics().requests.active === 1, 'listen unsubscribe() releases the tracked request')
+  client.destroy()
+
+  // local timeouts and cancellations end the request without a latency sample
+  const quiet = new BaseSSEClient({ url: 'mock://sse', logLevel: 'silent', env: t.env })
+  await quiet.postAndListen('/api/t', {}, () => {}, { streamTimeout: 30_000 })
+  await t.advance(30_000)
+  const { requestId: slow } = await quiet.postAndListen('/api/c', {}, () => {})
+  await t.advance(7000)
+  await quiet.cancel(slow)
+  const m = quiet.getMetrics()
+  assert(m.latency.firstEvent.count === 0 && m.latency.duration.count === 0, 'timeouts and cancels add no latency samples')
+  assert(m.requests.failed === 1 && m.requests.cancelled === 1 && m.requests.active === 0, 'timeouts and cancels still counted')
+  quiet.destroy()
+}
+
+async function testReactBindings() {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true
+  const { act } = TestRenderer
+  const tick = () => new Promise(r => setTimeout(r, 0))
+  const t = createTestEnvironment()
+  let gate = null
+  const env = { ...t.env, fetch: async (url, init) => { if (gate) await gate.promise; return t.fetch(url, init) } }
+  const options = { logLevel: 'silent', env }
+
+  // StrictMode：挂载→卸载→再挂载后仍只持有一份引用，延迟归还不会销毁实例
+  const seen = []
+  function Probe() {
+    seen.push(useSSEClient())
+    useBroadcast(() => {})
+    return null
+  }
+  const tree = () => createElement(StrictMode, null, createElement(SSEProvider, { url: 'mock://react', options }, createElement(Probe)))
+  let root
+  await act(async () => { root = TestRenderer.create(tree()) })
+  const client = seen[seen.length - 1]
+  assert(client && seen.filter(Boolean).every(c => c === client), 'SSEProvider shares one client across StrictMode remount')
+  await act(async () => { await tick() })
+  assert(sseManager.inspect(client)?.refs === 1, 'StrictMode double mount settles at one reference after delayed release')
+  assert(client.globalListeners.size === 1, 'useBroadcast leaves one handler after StrictMode double mount')
+  // 同步 act：避免让出宏任务使延迟归还提前执行
+  act(() => { root.unmount() })
+  assert(client.globalListeners.size === 0, 'useBroadcast handler released on unmount')
+  assert(sseManager.inspect(client)?.refs === 1, 'release deferred until after unmount')
+  await tick()
+  assert(sseManager.inspect(client) === undefined, 'last release destroys the shared client')
+  await act(async () => { root = TestRenderer.create(tree()) })
+  const again = seen[seen.length - 1]
+  await act(async () => { await tick() })
+  assert(again !== client && sseManager.inspect(again)?.refs === 1, 'remount acquires a fresh shared client')
+  await act(async () => { root.unmount() })
+  await tick()
+  assert(sseManager.inspect(again) === undefined, 'remounted client released on unmount')
+
+  // useSSERequest：pending → streaming → done / error / cancelled
+  const shared = new BaseSSEClient({ url: 'mock://react-req', ...options })
+  let req
+  function Requester() {
+    req = useSSERequest('/api/react')
+    return null
+  }
+  const mount = async () => {
+    let r
+    await act(async () => { r = TestRenderer.create(createElement(StrictMode, null, createElement(SSEProvider, { client: shared }, createElement(Requester)))) })
+    return r
+  }
+  root = await mount()
+  assert(req.status === 'idle', 'useSSERequest starts idle')
+  let requestId
+  await act(async () => { requestId = await req.send({ q: 1 }) })
+  assert(req.status === 'pending' && req.requestId === requestId, 'status pending after POST')
+  await act(async () => { shared.dispatch({ requestId, event: 'progress', data: 1 }) })
+  assert(req.status === 'streaming' && req.messages.length === 1, 'status streaming after first message')
+  await act(async () => { shared.dispatch({ requestId, event: 'done' }) })
+  assert(req.status === 'done' && req.messages.length === 2, 'status done after done message')
+  assert(!shared.listeners.has(requestId), 'listener removed after done')
+
+  await act(async () => { requestId = await req.send({ q: 2 }) })
+  await act(async () => { shared.dispatch({ requestId, event: 'error', data: 'boom' }) })
+  assert(req.status === 'error' && req.error && req.error.event === 'error', 'status error after server error message')
+
+  await act(async () => { requestId = await req.send({ q: 3 }) })
+  await act(async () => { await req.cancel('stop') })
+  assert(req.status === 'cancelled', 'status cancelled after cancel()')
+  assert(shared.listeners.size === 0, 'no listeners left after cancel')
+
+  // 卸载时释放正在流式接收的请求
+  await act(async () => { requestId = await req.send({ q: 4 }) })
+  await act(async () => { shared.dispatch({ requestId, event: 'progress' }) })
+  assert(shared.listeners.has(requestId), 'streaming request is listening')
+  await act(async () => { root.unmount() })
+  assert(shared.listeners.size === 0, 'unmount releases the streaming listener')
+
+  // POST 进行中卸载：POST 完成后释放监听
+  root = await mount()
+  gate = {}
+  gate.promise = new Promise(r => { gate.resolve = r })
+  let pendingSend
+  await act(async () => { pendingSend = req.send({ q: 5 }) })
+  assert(req.status === 'pending' && shared.listeners.size === 1, 'listener registered while POST in flight')
+  await act(async () => { root.unmount() })
+  gate.resolve()
+  gate = null
+  await pendingSend
+  await t.flush()
+  assert(shared.listeners.size === 0, 'unmount during in-flight POST releases the listener once POST resolves')
+  assert(shared.getMetrics().requests.active === 0, 'no tracked requests left after unmount')
+  shared.destroy()
+}
+
+async function testTabResignOnPageHide() {
+  const share = { channel: 'vsse-resign', heartbeatMs: 20, leaderTimeout: 60, claimWindow: 10 }
+  let hideA
+  const a = new SSEClient({ url: 'mock://resign', logLevel: 'silent', shareAcrossTabs: share, env: { onPageHide: (fn) => { hideA = fn; return () => {} } } })
+  await new Promise(r => setTimeout(r, 30))
+  const b = new SSEClient({ url: 'mock://resign', logLevel: 'silent', shareAcrossTabs: share })
+  await new Promise(r => setTimeout(r, 30))
+  const got = []
+  await a.postAndListen('/api/x', {}, (msg) => got.push(msg.event), { requestId: 'resign1' })
+  await new Promise(r => setTimeout(r, 30))
+  assert(a.getConnectionInfo().tabRole === 'leader' && a.es && !b.es, 'leader holds the only stream before pagehide')
+
+  hideA()
+  await new Promise(r => setTimeout(r, 120))
+  assert(a.getConnectionInfo().tabRole === 'follower' && !a.es, 'leader closes its stream when resigning on pagehide')
+  assert(b.getConnectionInfo().tabRole === 'leader' && b.es, 'other tab takes over with a single connection')
+  b.es.dispatch('open')
+  b.es.dispatch('message', JSON.stringify({ requestId: 'resign1', event: 'progress' }))
+  await new Promise(r => setTimeout(r, 10))
+  assert(got.join(',') === 'progress', 'resigned tab receives each message once')
+  a.destroy()
+  b.destroy()
+}
+
+// A test awaiting a promise that never settles drains the event loop and exits silently
+let finished = false
+process.on('exit', (code) => {
+  if (!finished && code === 0) {
+    console.error('FAIL: test run exited before finishing (a test awaited a promise that never settles)')
+    process.exitCode = 1
+  }
+})
+
 ;(async () => {
   try {
     await testIdleDoesNotCloseWhenActive()
@@ -141,10 +1394,42 @@ async function testConnectIdempotent() {
     await testConnectWithoutListeners()
     await testConnectWithoutUrl()
     await testConnectIdempotent()
+    await testSSEParserFrames()
+    await testFetchTransport()
+    await testFetchTransportHttpError()
+    await testLastEventIdResume()
+    await testStreamIterator()
+    await testListenerTimeouts()
+    await testShareAcrossTabs()
+    await testEnvironmentOverrides()
+    await testLoggerLevels()
+    await testLifecycleEvents()
+    await testUnroutedBuffer()
+    await testOrderedDelivery()
+    await testTopicSubscriptions()
+    await testMultipleEventTypes()
+    await testDecoders()
+    await testMiddleware()
+    await testTokenProvider()
+    await testPostRetry()
+    await testCancel()
+    await testOfflineOutbox()
+    await testHiddenTabPolicy()
+    await testSharedClientRegistry()
+    await testMetrics()
+    await testRecorderReplay()
+    await testMockTransportKit()
+    await testDefineEvent()
+    await testHeadlessTokenHeader()
+    await testOutboxFakeClock()
+    await testMetricsServerEventsOnly()
+    await testReactBindings()
+    await testTabResignOnPageHide()
   } catch (e) {
     console.error('Unexpected error in tests:', e)
     failed++
   }
+  finished = true
   console.log(`Tests finished. Passed=${passed} Failed=${failed}`)
   if (failed > 0) process.exit(1)
 })()
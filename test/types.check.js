@@ -0,0 +1,49 @@
+// @ts-check
+// Type-level checks for the typed event map; compiled by `npm run typecheck`, never executed
+import { SSEClient } from '../src/index.js'
+
+/** @typedef {{ pct: number }} Progress */
+
+/**
+ * @param {any} p
+ * @returns {p is Progress}
+ */
+const isProgress = (p) => typeof p?.pct === 'number'
+
+/** @param {boolean} value */
+const takesBoolean = (value) => value
+
+/** @param {Progress|undefined} value */
+const takesProgress = (value) => value
+
+const typed = new SSEClient({ url: '/sse' }).defineEvent('progress', isProgress)
+
+typed.onBroadcast((msg) => {
+  if (msg.event === 'progress') {
+    takesProgress(msg.payload)
+    // @ts-expect-error payload is narrowed to Progress by the type guard
+    takesBoolean(msg.payload)
+  }
+  if (msg.event === 'done' || msg.event === 'error' || msg.event === 'cancelled') takesBoolean(msg.payload)
+})
+
+typed.postAndListen('/api/x', {}, (msg) => {
+  if (msg.event === 'progress') {
+    takesProgress(msg.payload)
+    // @ts-expect-error payload is narrowed to Progress by the type guard
+    takesBoolean(msg.payload)
+  }
+})
+
+// Plain boolean predicates and schema objects are accepted; their payloads stay untyped
+const loose = typed
+  .defineEvent('tick', (p) => typeof p === 'number')
+  .defineEvent('log', { type: 'string' })
+loose.onBroadcast((msg) => {
+  if (msg.event === 'tick' || msg.event === 'log') takesBoolean(msg.payload)
+})
+
+// Without defineEvent() every event name is accepted and payloads are untyped
+new SSEClient({ url: '/sse' }).onBroadcast((msg) => {
+  if (msg.event === 'custom') takesBoolean(msg.payload)
+})